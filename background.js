@@ -1,125 +1,934 @@
 // background.js
 
 // Import required utilities into the Service Worker scope
+importScripts('utils/scheduler.js');
+importScripts('utils/schema.js');
 importScripts('utils/gemini.js');
+importScripts('utils/zip.js');
+importScripts('utils/xlsx.js');
+importScripts('utils/pdf.js');
+importScripts('utils/html.js');
+importScripts('utils/downloads.js');
 importScripts('utils/export.js');
 importScripts('utils/lens.js');
+importScripts('utils/jobs.js');
+importScripts('utils/db.js');
+importScripts('utils/cache.js');
+importScripts('utils/imagestore.js');
+importScripts('utils/history.js');
+importScripts('utils/follows.js');
+importScripts('utils/providers.js');
+importScripts('utils/lykdat.js');
 
+// Optional config.js (see config.example.js); its keys win over the ones saved in Settings, as in the popup
+try {
+    importScripts('config.js');
+} catch (err) {
+    console.log("No config.js found, using the API keys saved in Settings.");
+}
+
+// Lens scraping opens a window per pin, so it runs one pin at a time with a pause in between
 const DELAY_BETWEEN_ITEMS = 2500;
-const GEMINI_DELAY = 3500;
+
+// Wakes the worker back up if Chrome suspends it while a job is still unfinished
+const JOB_WATCHDOG_ALARM = "exportJobWatchdog";
+
+const notifId = "exportProgress";
+// Followed-board reports: the notification id carries the export run id
+const FOLLOW_REPORT_NOTIFICATION_PREFIX = "followReport:";
+const iconBase64 = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==";
+
+// Id of the job this worker instance is currently running (in-memory only)
+let activeJobId = null;
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'START_EXPORT') {
-        console.log("Starting background export process...");
-        startBackgroundExport(message.payload)
-            .then(() => {
-                console.log("Background export complete!");
+        console.log("Queueing background export job...");
+        createExportJob(message.payload)
+            .then((job) => {
+                sendResponse({ status: "started", jobId: job.id });
+                processExportQueue();
             })
             .catch((err) => {
-                console.error("Background export failed:", err);
+                console.error("Failed to queue export job:", err);
+                sendResponse({ status: "error", error: err.message });
+            });
+        return true;
+    }
+
+    if (message.action === 'GET_EXPORT_STATUS') {
+        listExportJobs()
+            .then((jobs) => {
+                const summaries = jobs.map(summarizeExportJob);
+                const job = message.jobId ? summaries.find(j => j.id === message.jobId) || null : null;
+                sendResponse({ jobs: summaries, job, activeJobId });
+            })
+            .catch((err) => sendResponse({ status: "error", error: err.message }));
+        return true;
+    }
+
+    if (message.action === 'PAUSE_EXPORT') {
+        transitionExportJob(message.jobId, [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING], JOB_STATUS.PAUSED)
+            .then(sendResponse);
+        return true;
+    }
+
+    if (message.action === 'RESUME_EXPORT') {
+        transitionExportJob(message.jobId, [JOB_STATUS.PAUSED, JOB_STATUS.FAILED], JOB_STATUS.QUEUED)
+            .then((response) => {
+                sendResponse(response);
+                processExportQueue();
             });
+        return true;
+    }
+
+    if (message.action === 'CANCEL_EXPORT') {
+        transitionExportJob(message.jobId, [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.PAUSED], JOB_STATUS.CANCELLED)
+            .then(sendResponse);
+        return true;
+    }
 
-        sendResponse({ status: "started" });
+    if (message.action === 'EXPORT_PARTIAL') {
+        getExportJob(message.jobId)
+            .then(async (job) => {
+                if (!job) {
+                    sendResponse({ status: "error", error: "Export job not found." });
+                    return;
+                }
+                const exported = await exportJobResults(await loadExportJobPayload(job));
+                sendResponse(exported ? { status: "exported" } : { status: "error", error: "No processed pins to export yet." });
+            })
+            .catch((err) => sendResponse({ status: "error", error: err.message }));
+        return true;
+    }
+
+    if (message.action === 'REDOWNLOAD_EXPORT') {
+        getExportRun(message.historyId)
+            .then(async (run) => {
+                if (!run) {
+                    sendResponse({ status: "error", error: "Export not found in history." });
+                    return;
+                }
+                const format = message.format || run.options.format;
+                await exportResults(run.results, run.boardName, { ...run.options, format, embedImages: !!message.embedImages }, run.sync);
+                sendResponse({ status: "exported" });
+            })
+            .catch((err) => sendResponse({ status: "error", error: err.message }));
+        return true;
+    }
+
+    // Followed boards are only written here, so the popup's edits are serialized with the background checks
+    if (message.action === 'FOLLOW_BOARD') {
+        followBoard(message.board)
+            .then((board) => sendResponse({ status: "ok", board }))
+            .catch((err) => sendResponse({ status: "error", error: err.message }));
+        return true;
+    }
+
+    if (message.action === 'UPDATE_FOLLOWED_BOARD') {
+        updateFollowedBoard(message.boardUrl, message.patch)
+            .then((board) => sendResponse({ status: "ok", board }))
+            .catch((err) => sendResponse({ status: "error", error: err.message }));
+        return true;
+    }
+
+    if (message.action === 'UNFOLLOW_BOARD') {
+        unfollowBoard(message.boardUrl)
+            .then(() => sendResponse({ status: "ok" }))
+            .catch((err) => sendResponse({ status: "error", error: err.message }));
+        return true;
+    }
+
+    if (message.action === 'CHECK_FOLLOWED_BOARD') {
+        checkFollowedBoard(message.boardUrl, { force: true })
+            .then(() => sendResponse({ status: "checked" }))
+            .catch((err) => sendResponse({ status: "error", error: err.message }));
+        return true;
+    }
+
+    if (message.action === 'DISMISS_EXPORT') {
+        updateExportJob(message.jobId, { dismissed: true })
+            .then(() => sendResponse({ status: "dismissed" }))
+            .catch((err) => sendResponse({ status: "error", error: err.message }));
         return true;
     }
 });
 
-async function startBackgroundExport(payload) {
-    const { selected, gender, itemType, brands, geminiApiKey, lykdatKey, boardName } = payload;
-    const processedPins = [];
+/**
+ * Moves a job to a new status if it is currently in one of the allowed states.
+ * @param {string} jobId
+ * @param {string[]} fromStatuses
+ * @param {string} toStatus
+ * @returns {Promise<Object>} A response object for the popup.
+ */
+async function transitionExportJob(jobId, fromStatuses, toStatus) {
+    try {
+        const job = await getExportJob(jobId);
+        if (!job) {
+            return { status: "error", error: "Export job not found." };
+        }
+        if (!fromStatuses.includes(job.status)) {
+            return { status: "error", error: `Cannot change a ${job.status} export to ${toStatus}.` };
+        }
 
-    const useGemini = !!geminiApiKey;
-    const preferencesString = [gender ? `Target Audience: ${gender}` : null, brands ? `Preferred Brands: ${brands}` : null].filter(Boolean).join(", ");
+        const updated = await updateExportJob(jobId, { status: toStatus });
+        if (toStatus === JOB_STATUS.PAUSED || toStatus === JOB_STATUS.CANCELLED) {
+            const verb = toStatus === JOB_STATUS.PAUSED ? "paused" : "cancelled";
+            showJobNotification(`Export of "${job.boardName}" ${verb} after ${job.completed} of ${job.total} items.`);
+        }
+        return { status: "ok", job: summarizeExportJob(updated) };
+    } catch (err) {
+        return { status: "error", error: err.message };
+    }
+}
 
-    const notifId = "exportProgress";
-    const iconBase64 = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==";
+/**
+ * Writes the export file for whatever pins a job has processed so far.
+ * @param {Object} job A job loaded with loadExportJobPayload
+ * @returns {Promise<boolean>} False if there was nothing to export.
+ */
+async function exportJobResults(job) {
+    const processedPins = getProcessedPins(job).filter(pin => !pin.skipped);
+    if (!processedPins.length) return false;
 
-    if (chrome.notifications) {
-        chrome.notifications.create(notifId, {
-            type: "progress",
-            iconUrl: iconBase64,
-            title: "Exporting Pinterest Board...",
-            message: `Processing 0 of ${selected.length} items (this may take a few minutes)`,
-            progress: 0
-        });
+    await exportResults(processedPins, job.boardName, job.options, job.sync);
+    return true;
+}
+
+/**
+ * Writes analyzed pins in the format chosen in the options (a job's or a history run's).
+ * @param {Object[]} pins
+ * @param {string} boardName
+ * @param {Object} options Preferences, format and embedImages
+ * @param {Object|null} [sync] Incremental run summary; its removed pins are appended to the report
+ */
+async function exportResults(pins, boardName, options, sync = null) {
+    const { gender, itemType, brands, format, embedImages } = options;
+    const cacheHits = pins.filter(pin => pin.cacheHit).length;
+    const report = sync ? [...pins, ...sync.removedPins] : pins;
+    const syncSummary = sync
+        ? { since: sync.baseCreatedAt, newCount: sync.newCount, unchangedCount: sync.unchangedCount, removedCount: sync.removedPins.length }
+        : null;
+    await self.exportPins(report, boardName, format, { gender, itemType, brands, cacheHits, sync: syncSummary }, {
+        embedImages,
+        // PDF lookbook pages and offline-safe reports embed the pin image, reusing the JPEG from the analysis if there is one
+        loadImage: loadPinImage,
+        resizeImage: self.resizeBase64Image
+    });
+}
+
+/**
+ * @param {string} imageUrl
+ * @returns {Promise<string|null>} Base64 JPEG data
+ */
+async function loadPinImage(imageUrl) {
+    return (await self.getPinImage(imageUrl)) || self.downloadImageAsBase64(imageUrl);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === JOB_WATCHDOG_ALARM) {
+        processExportQueue();
+    } else if (alarm.name.startsWith(FOLLOW_ALARM_PREFIX)) {
+        checkFollowedBoard(alarm.name.slice(FOLLOW_ALARM_PREFIX.length))
+            .catch((err) => console.error("Followed board check failed:", err));
+    }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    processExportQueue();
+    syncFollowAlarms();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+    migrateFollowedBoards()
+        .catch((err) => console.warn("Failed to migrate followed boards", err))
+        .then(syncFollowAlarms);
+});
+
+// Followed boards and the on/off switch change in storage; alarms follow those edits
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+    if (changes[FOLLOW_SETTINGS_KEY] || Object.keys(changes).some(key => key.startsWith(FOLLOWED_BOARD_KEY_PREFIX))) {
+        syncFollowAlarms();
     }
+});
+
+// Keyboard command: open the popup and have it extract pins from the current board right away
+chrome.commands.onCommand.addListener((command) => {
+    if (command !== "extract-pins") return;
 
-    for (let i = 0; i < selected.length; i++) {
-        const pin = selected[i];
-        console.log(`Processing item ${i + 1} of ${selected.length}...`);
-        if (chrome.notifications) {
-            chrome.notifications.update(notifId, {
-                message: `Analyzing item ${i + 1} of ${selected.length} (Please do not close browser)`,
-                progress: Math.round((i / selected.length) * 100)
+    chrome.storage.local.set({ pendingExtraction: Date.now() })
+        .then(() => chrome.action.openPopup())
+        .catch((err) => {
+            console.warn("Could not open the popup for extraction:", err);
+            chrome.notifications?.create({
+                type: "basic",
+                iconUrl: iconBase64,
+                title: "Pinterest Board Helper",
+                message: "Open the popup to extract pins from this board."
             });
+        });
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (notificationId.startsWith(FOLLOW_REPORT_NOTIFICATION_PREFIX)) {
+        openFollowReport(notificationId.slice(FOLLOW_REPORT_NOTIFICATION_PREFIX.length));
+        chrome.notifications.clear(notificationId);
+    }
+});
+
+// The queue runner in flight, if any. Set before the first await so callers racing on a cold start
+// (top-level call, onStartup, the watchdog, START/RESUME) share one runner instead of each running the same job.
+let exportQueueRun = null;
+// Set when someone asks for the queue while the runner is going, so it looks for new jobs once more before stopping
+let exportQueueRecheck = false;
+
+/**
+ * Runs queued and interrupted jobs one after another until nothing is left to do.
+ * @returns {Promise<void>} The shared runner
+ */
+function processExportQueue() {
+    if (exportQueueRun) {
+        exportQueueRecheck = true;
+        return exportQueueRun;
+    }
+    exportQueueRun = drainExportQueue().finally(() => {
+        exportQueueRun = null;
+        activeJobId = null;
+    });
+    return exportQueueRun;
+}
+
+async function drainExportQueue() {
+    for (;;) {
+        exportQueueRecheck = false;
+        const job = await getNextRunnableJob();
+        if (!job) {
+            if (exportQueueRecheck) continue;
+            break;
         }
 
+        chrome.alarms.create(JOB_WATCHDOG_ALARM, { periodInMinutes: 1 });
+        activeJobId = job.id;
         try {
-            if (i > 0) {
-                await self.wait(useGemini ? GEMINI_DELAY : DELAY_BETWEEN_ITEMS);
+            await runExportJob(job.id);
+            console.log("Background export complete!");
+        } catch (err) {
+            console.error("Background export failed:", err);
+            await updateExportJob(job.id, { status: JOB_STATUS.FAILED, error: err.message });
+            showJobNotification(`Export of "${job.boardName}" failed: ${err.message}`);
+            if (job.options.source === "follow") {
+                // The new pins stay unseen, so the next check tries them again
+                await updateFollowedBoard(job.boardUrl, { lastError: `Export failed: ${err.message}` }).catch(() => { });
             }
+        }
+        activeJobId = null;
+    }
 
-            let result = null;
-            let lykdatResult = null;
+    chrome.alarms.clear(JOB_WATCHDOG_ALARM);
+}
 
-            if (useGemini) {
-                // Fetch base64 image data first
-                const base64Data = await self.downloadImageAsBase64(pin.imageUrl);
+function showJobNotification(message, progress) {
+    if (!chrome.notifications) return;
 
-                if (!base64Data) {
-                    console.error(`Failed to get base64 data for ${pin.imageUrl}`);
-                    continue;
-                }
+    const options = {
+        type: progress === undefined ? "basic" : "progress",
+        iconUrl: iconBase64,
+        title: "Exporting Pinterest Board...",
+        message
+    };
+    if (progress !== undefined) {
+        options.progress = progress;
+    }
+    chrome.notifications.create(notifId, options);
+}
 
-                const tasks = [self.analyzeImageAndGetShoppingLinks(base64Data, geminiApiKey, preferencesString)];
+/**
+ * Processes the remaining pins of a job, checkpointing after each one, then writes the export.
+ * @param {string} jobId
+ */
+async function runExportJob(jobId) {
+    let job = await getExportJob(jobId);
+    if (!job || ![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) return;
 
-                if (lykdatKey) {
-                    // Note: searchLykdat was previously in popup.js or injected?
-                    // If it's missing, we need to ensure it's available or imported.
-                    // For now, assuming it's an API call, we might need to skip Lykdat if it was in popup scope or content script.
-                    // Wait, 'searchLykdat' isn't explicitly imported here. Let's omit Lykdat or implement it properly.
-                    // Removing Lykdat for this iteration to focus on the unified Gemini call.
-                }
+    const resuming = job.completed > 0;
+    job = await updateExportJob(jobId, { status: JOB_STATUS.RUNNING, startedAt: job.startedAt || Date.now() });
 
-                const results = await Promise.all(tasks);
-                const unifiedData = results[0];
+    if (job.options.incremental && !job.sync) {
+        job = await prepareIncrementalJob(await loadExportJobPayload(job));
+    }
+    job = await loadExportJobPayload(job);
 
-                if (unifiedData && unifiedData.length > 0) {
-                    pin.lensResult = unifiedData.map(d => d.item).join(", ");
-                    pin.shoppingLinks = unifiedData.map(d => ({ item: d.item, url: d.exact_url }));
+    const { gender, brands } = job.options;
+    const total = job.total;
+    const chain = resolveProviderChain(job.options);
+    // Lens scraping drives a browser window per pin, so a Lens-first job can't run in parallel
+    const sequential = chain[0].provider.id === "lens";
+    const preferencesString = [gender ? `Target Audience: ${gender}` : null, brands ? `Preferred Brands: ${brands}` : null].filter(Boolean).join(", ");
 
-                    if (preferencesString) {
-                        pin.preferredLinks = unifiedData
-                            .filter(d => d.preferred_url)
-                            .map(d => ({ item: d.item, url: d.preferred_url }));
-                    }
-                }
-            } else {
-                // Google Lens fallback
-                result = await self.fetchLensResult(pin.imageUrl);
+    // API calls are throttled by the provider schedulers, so several pins can be in flight at once
+    const limits = await loadGeminiLimits();
+    self.configureProviderLimits(limits);
+    const concurrency = sequential ? 1 : limits.maxConcurrent;
 
-                if (result && typeof result === 'object' && result.text) {
-                    pin.lensResult = result.text;
-                } else if (result && typeof result === 'string') {
-                    pin.lensResult = result.trim();
-                }
+    // The stored results are the source of truth; the counters can lag if the worker stopped mid-checkpoint
+    const checkpointed = getProcessedPins(job);
+    let completed = checkpointed.length;
+    if (completed !== job.completed) {
+        await updateExportJob(jobId, { completed, exportable: checkpointed.filter(pin => !pin.skipped).length });
+    }
+    showJobNotification(
+        resuming
+            ? `Resuming at ${completed} of ${total} items (this may take a few minutes)`
+            : `Processing 0 of ${total} items (this may take a few minutes)`,
+        Math.round((completed / total) * 100)
+    );
+
+    const pending = job.pins.map((_, i) => i).filter(i => !job.processed[i]);
+    let stopped = false;
+
+    const worker = async () => {
+        let processedByWorker = 0;
+
+        while (pending.length && !stopped) {
+            if (sequential && processedByWorker > 0) {
+                await self.wait(DELAY_BETWEEN_ITEMS);
             }
 
-        } catch (err) {
-            console.warn("Processing error for pin", pin, err);
+            // Stop here if the job was paused or cancelled from the popup; progress so far is already saved
+            const latest = await getExportJob(jobId);
+            if (!latest || latest.status !== JOB_STATUS.RUNNING) {
+                console.log(`Export job ${jobId} is ${latest ? latest.status : "gone"}, stopping.`);
+                stopped = true;
+                return;
+            }
+
+            const i = pending.shift();
+            if (i === undefined) return;
+
+            const pin = job.pins[i];
+            console.log(`Processing item ${i + 1} of ${total}...`);
+
+            const processedPin = await processPin(pin, job.options, preferencesString, job.boardName);
+            if (job.sync) {
+                processedPin.syncStatus = "new";
+            }
+            const updated = await recordProcessedPin(jobId, i, processedPin);
+            if (!updated) {
+                stopped = true; // Job was removed while running
+                return;
+            }
+
+            processedByWorker++;
+            completed++;
+            if (chrome.notifications) {
+                chrome.notifications.update(notifId, {
+                    message: `Analyzed ${completed} of ${total} items (Please do not close browser)`,
+                    progress: Math.round((completed / total) * 100)
+                });
+            }
         }
+    };
 
-        processedPins.push(pin);
-    }
+    const workerCount = Math.max(1, Math.min(concurrency, pending.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
 
+    const latest = await getExportJob(jobId);
+    if (!latest || latest.status !== JOB_STATUS.RUNNING) return;
+    job = await loadExportJobPayload(latest);
+
+    const cacheHits = getProcessedPins(job).filter(pin => pin.cacheHit).length;
     if (chrome.notifications) {
         chrome.notifications.update(notifId, {
-            message: "Generating Shop UI HTML file...",
+            message: cacheHits
+                ? `Generating export file... (${cacheHits} of ${total} items reused from cache)`
+                : "Generating export file...",
             progress: 100
         });
         setTimeout(() => chrome.notifications.clear(notifId), 4000);
     }
 
-    // Create the HTML file
-    self.exportToHTML(processedPins, boardName, { gender, itemType, brands });
+    // Create the export file
+    await exportJobResults(job);
+
+    // The history entry is a convenience; failing to write it must not fail the export
+    try {
+        await recordExportRun(job, getProcessedPins(job).filter(pin => !pin.skipped), describeAnalysisSetup(job.options));
+    } catch (err) {
+        console.warn("Failed to save export history", err);
+    }
+
+    await updateExportJob(jobId, { status: JOB_STATUS.DONE, finishedAt: Date.now() });
+
+    if (job.options.source === "follow") {
+        await completeFollowJob(job);
+        notifyFollowReport(job);
+    }
+}
+
+/**
+ * Sets up a "new since last export" job: pins the board's previous run already analyzed are checkpointed
+ * as processed straight away, so only new pins go through the providers, and pins that have since left
+ * the board are kept aside to be listed as removed in the merged report.
+ * Without a previous run for the board, or if it used other preferences, every pin is analyzed as usual.
+ * @param {Object} job A job loaded with loadExportJobPayload
+ * @returns {Promise<Object>} The updated job
+ */
+async function prepareIncrementalJob(job) {
+    const previousRun = await getLatestExportRun(job.boardUrl);
+    if (!previousRun) {
+        console.log(`No previous export of ${job.boardUrl || job.boardName}, analyzing every pin.`);
+        return updateExportJob(job.id, { options: { ...job.options, incremental: false } });
+    }
+    // Carried-over items were matched against the old preferences and providers, so a change means analyzing everything again
+    if (!hasSameExportPreferences(job.options, previousRun, describeAnalysisSetup(job.options))) {
+        console.log(`Preferences or providers changed since the last export of ${job.boardUrl || job.boardName}, analyzing every pin.`);
+        return updateExportJob(job.id, { options: { ...job.options, incremental: false } });
+    }
+
+    const { carried, newCount, removed } = diffAgainstExportRun(job.pins, job.boardPinKeys, previousRun);
+    await recordProcessedPins(job.id, carried.map(({ index, pin }) => [index, { ...pin, syncStatus: "unchanged" }]));
+    await saveRemovedPins(job.id, removed.map(pin => ({ ...pin, syncStatus: "removed" })));
+
+    console.log(`Incremental export: ${newCount} new, ${carried.length} unchanged, ${removed.length} removed since ${new Date(previousRun.createdAt).toISOString()}.`);
+    // The removed pins stay in IndexedDB with the rest of the job's pins (see loadExportJobPayload)
+    return updateExportJob(job.id, {
+        sync: {
+            baseRunId: previousRun.id,
+            baseCreatedAt: previousRun.createdAt,
+            newCount,
+            unchangedCount: carried.length,
+            removedCount: removed.length
+        }
+    });
+}
+
+/**
+ * Summarizes what a job's results depend on besides its preferences, so incremental exports only reuse
+ * results produced the same way.
+ * @param {Object} options The job options
+ * @returns {{providerChain: string[], lykdat: boolean, promptVersion: string}}
+ */
+function describeAnalysisSetup(options) {
+    return {
+        providerChain: resolveProviderChain(options).map(entry => entry.provider.id),
+        lykdat: !!options.lykdatKey,
+        promptVersion: ANALYSIS_PROMPT_VERSION
+    };
+}
+
+/**
+ * Reads the user's Gemini quota settings, falling back to the scheduler defaults.
+ * @returns {Promise<typeof DEFAULT_SCHEDULER_LIMITS>}
+ */
+async function loadGeminiLimits() {
+    const { geminiLimits } = await chrome.storage.local.get("geminiLimits");
+    return { ...DEFAULT_SCHEDULER_LIMITS, ...(geminiLimits || {}) };
+}
+
+// Providers tried after the primary one when a job doesn't configure its own fallbacks
+const DEFAULT_FALLBACK_PROVIDERS = ["text"];
+
+/**
+ * Resolves the ordered chain of vision providers (with their settings) a job tries for each pin.
+ * Jobs that don't name a primary provider keep the original behavior: Gemini when a key is set, otherwise Lens scraping.
+ * @param {Object} options The job options
+ * @returns {Array<{provider: Object, settings: Object}>}
+ */
+function resolveProviderChain(options) {
+    const config = options.provider || {};
+    const primaryId = config.id || (options.geminiApiKey ? "gemini" : "lens");
+    const fallbackIds = Array.isArray(config.fallbacks) ? config.fallbacks : DEFAULT_FALLBACK_PROVIDERS;
+
+    const chain = [];
+    [primaryId, ...fallbackIds].forEach((id) => {
+        if (chain.some(entry => entry.provider.id === id)) return;
+
+        const provider = self.getVisionProvider(id);
+        if (!provider) {
+            console.warn(`Unknown vision provider "${id}", skipping.`);
+            return;
+        }
+
+        const settings = { ...(config.settings?.[id] || {}) };
+        if (id === "gemini") {
+            settings.apiKey = settings.apiKey || options.geminiApiKey;
+        }
+        chain.push({ provider, settings });
+    });
+
+    if (!chain.length) {
+        chain.push({ provider: self.getVisionProvider("lens"), settings: {} });
+    }
+    return chain;
+}
+
+/**
+ * Copies a provider's analysis records onto the pin (names, shopping links, attributes and item crops).
+ * @param {Object} pin
+ * @param {Object[]} records
+ * @param {string|null} base64Data
+ * @param {string} preferencesString
+ */
+async function applyAnalysisRecords(pin, records, base64Data, preferencesString) {
+    pin.lensResult = records.map(d => d.item).join(", ");
+    // Crop each detected item out of the image so the export can show which garment a link refers to
+    const thumbnails = await self.cropImageThumbnails(base64Data, records.map(d => d.box_2d));
+    const describe = (d, i) => ({
+        item: d.item,
+        attributes: self.extractItemAttributes(d),
+        box: d.box_2d || null,
+        thumbnail: thumbnails[i] || null
+    });
+
+    pin.shoppingLinks = records.map((d, i) => ({ ...describe(d, i), url: d.exact_url }));
+
+    if (preferencesString) {
+        pin.preferredLinks = records
+            .map((d, i) => ({ ...describe(d, i), url: d.preferred_url }))
+            .filter(link => link.url);
+    }
 }
+
+/**
+ * Runs one provider for a pin. Returns true if it produced a result, otherwise throws with the reason.
+ * @param {Object} pin The pin being built (mutated on success)
+ * @param {{provider: Object, settings: Object}} entry
+ * @param {Object} context Shared context (pin, boardName, base64Data, preferences)
+ * @returns {Promise<boolean>}
+ */
+async function runProvider(pin, { provider, settings }, context) {
+    if (!provider.isConfigured(settings)) {
+        throw new Error("not configured");
+    }
+    if (provider.needsImageData && !context.base64Data) {
+        throw new Error("image download failed");
+    }
+
+    const providerContext = { ...context, settings };
+    const { base64Data, preferences } = providerContext;
+
+    if (!provider.supportsShoppingLinks) {
+        const identified = await provider.identify(providerContext);
+        if (!identified?.text) {
+            throw new Error("returned no results");
+        }
+        pin.lensResult = identified.text;
+        return true;
+    }
+
+    // Identical image + model + prompt + preferences → reuse the earlier analysis instead of paying for it again
+    const cacheVariant = base64Data ? provider.getCacheVariant(settings, preferences) : null;
+    const cacheKey = cacheVariant ? await self.buildAnalysisCacheKey(base64Data, cacheVariant, preferences) : null;
+    const cachedData = cacheKey ? await self.getCachedAnalysis(cacheKey) : null;
+
+    const unifiedData = cachedData || await provider.getShoppingLinks(providerContext);
+    if (!unifiedData || unifiedData.length === 0) {
+        throw new Error("returned no results");
+    }
+
+    if (cachedData) {
+        pin.cacheHit = true;
+    } else if (cacheKey) {
+        await self.putCachedAnalysis(cacheKey, unifiedData);
+    }
+
+    await applyAnalysisRecords(pin, unifiedData, base64Data, preferences);
+    return true;
+}
+
+/**
+ * Analyzes a single pin, walking the job's provider fallback chain until one produces a result.
+ * The pin is always returned, with `analysis` recording which provider answered and why earlier ones failed.
+ * @param {Object} pin
+ * @param {Object} options The job options (provider chain, keys + preferences)
+ * @param {string} preferencesString
+ * @param {string} boardName
+ * @returns {Promise<Object>} The pin with analysis results.
+ */
+async function processPin(pin, options, preferencesString, boardName) {
+    const { lykdatKey } = options;
+    const chain = resolveProviderChain(options);
+    pin = { ...pin };
+
+    const analysis = { provider: null, attempts: [] };
+    let base64Data = null;
+
+    try {
+        if (chain.some(entry => entry.provider.needsImageData) || lykdatKey) {
+            // Fetch base64 image data first
+            base64Data = await self.downloadImageAsBase64(pin.imageUrl);
+            if (!base64Data) {
+                console.error(`Failed to get base64 data for ${pin.imageUrl}`);
+            } else {
+                await self.putPinImage(pin.imageUrl, base64Data);
+            }
+        }
+
+        // Visual search runs alongside whichever provider identifies the items
+        const visualMatchesTask = lykdatKey
+            ? self.searchLykdat({ imageUrl: pin.imageUrl, base64Data }, lykdatKey)
+            : Promise.resolve(null);
+
+        const context = { pin, boardName, base64Data, preferences: preferencesString };
+        for (const entry of chain) {
+            try {
+                await runProvider(pin, entry, context);
+                analysis.provider = entry.provider.id;
+                break;
+            } catch (err) {
+                console.warn(`${entry.provider.label} failed for pin ${pin.link}: ${err.message}`);
+                analysis.attempts.push({ provider: entry.provider.id, error: err.message });
+            }
+        }
+
+        // Real product listings from Lykdat are merged in, tagged so the export can show them separately
+        const visualMatches = await visualMatchesTask;
+        if (visualMatches && visualMatches.length > 0) {
+            pin.shoppingLinks = [...(pin.shoppingLinks || []), ...visualMatches];
+        }
+
+    } catch (err) {
+        console.warn("Processing error for pin", pin, err);
+        analysis.attempts.push({ provider: null, error: err.message });
+    }
+
+    pin.provider = analysis.provider;
+    pin.analysis = analysis;
+    return pin;
+}
+
+// --- Followed boards ---
+
+// How long a background tab gets to load the board and collect its pins
+const FOLLOW_TAB_TIMEOUT_MS = 60000;
+
+// Checks run one at a time, each in its own background tab
+let followCheckChain = Promise.resolve();
+
+/**
+ * Creates, updates or clears one alarm per followed board so they match the stored list and the global switch.
+ */
+async function syncFollowAlarms() {
+    const [settings, boards, alarms] = await Promise.all([loadFollowSettings(), listFollowedBoards(), chrome.alarms.getAll()]);
+    const wanted = new Map(settings.enabled ? boards.map(board => [getFollowAlarmName(board.boardUrl), board]) : []);
+
+    alarms
+        .filter(alarm => alarm.name.startsWith(FOLLOW_ALARM_PREFIX))
+        .forEach((alarm) => {
+            const board = wanted.get(alarm.name);
+            if (board && alarm.periodInMinutes === board.intervalHours * 60) {
+                wanted.delete(alarm.name); // Already scheduled with the right interval
+            } else {
+                chrome.alarms.clear(alarm.name);
+            }
+        });
+
+    wanted.forEach((board, name) => {
+        const periodInMinutes = board.intervalHours * 60;
+        // Resume the board's own cycle instead of restarting it whenever alarms are re-created
+        const dueInMinutes = (board.lastCheckedAt + periodInMinutes * 60000 - Date.now()) / 60000;
+        chrome.alarms.create(name, { delayInMinutes: Math.max(1, dueInMinutes), periodInMinutes });
+    });
+}
+
+/**
+ * Opens a board in a background tab and runs the content script's GET_PINS collector there.
+ * @param {string} boardUrl
+ * @returns {Promise<{pins: Object[], boardName: string, boardUrl: string}>}
+ */
+async function collectBoardPins(boardUrl) {
+    const tab = await chrome.tabs.create({ url: boardUrl, active: false });
+
+    try {
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                chrome.tabs.onUpdated.removeListener(listener);
+                reject(new Error("Board took too long to load"));
+            }, FOLLOW_TAB_TIMEOUT_MS);
+            const listener = (tabId, changeInfo) => {
+                if (tabId === tab.id && changeInfo.status === "complete") {
+                    clearTimeout(timeout);
+                    chrome.tabs.onUpdated.removeListener(listener);
+                    resolve();
+                }
+            };
+            chrome.tabs.onUpdated.addListener(listener);
+        });
+
+        // The content script may not be listening yet right after the load completes
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await self.wait(2000);
+            try {
+                const response = await chrome.tabs.sendMessage(tab.id, { type: "GET_PINS" });
+                if (!response?.success) {
+                    throw new Error(response?.error || "Failed to collect pins");
+                }
+                return response;
+            } catch (err) {
+                if (attempt === 4) throw err;
+            }
+        }
+    } finally {
+        chrome.tabs.remove(tab.id).catch(() => { });
+    }
+}
+
+/**
+ * Job options for a followed board: the preferences of its last export and the provider/keys saved in Settings.
+ * @param {Object|null} previousRun
+ * @returns {Promise<Object>}
+ */
+async function loadFollowJobOptions(previousRun) {
+    const { geminiApiKey, lykdatApiKey, visionProvider = {} } = await chrome.storage.local.get(["geminiApiKey", "lykdatApiKey", "visionProvider"]);
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+    const { gender = "", itemType = "", brands = "" } = previousRun?.options || {};
+    return {
+        gender,
+        itemType,
+        brands,
+        format: "html",
+        geminiApiKey: config.GEMINI_API_KEY || geminiApiKey || "",
+        lykdatKey: config.LYKDAT_API_KEY || lykdatApiKey || "",
+        provider: {
+            id: visionProvider.id || null,
+            fallbacks: visionProvider.fallbacks || DEFAULT_FALLBACK_PROVIDERS,
+            settings: { openai: visionProvider.openai || {}, ollama: visionProvider.ollama || {} }
+        }
+    };
+}
+
+/**
+ * Re-scrapes a followed board and queues an incremental export for the pins added since the last check.
+ * New pins beyond the per-check cap or the daily budget stay unseen, so a later check picks them up.
+ * @param {string} boardUrl
+ * @param {{force?: boolean}} [options] force: run even when following is switched off (popup "Check now")
+ */
+function checkFollowedBoard(boardUrl, { force = false } = {}) {
+    const run = followCheckChain.then(() => runFollowCheck(boardUrl, force));
+    followCheckChain = run.catch(() => { });
+    return run;
+}
+
+async function runFollowCheck(boardUrl, force) {
+    const settings = await loadFollowSettings();
+    if (!settings.enabled && !force) return;
+
+    const follow = (await listFollowedBoards()).find(board => board.boardUrl === boardUrl);
+    if (!follow) return;
+
+    const finishCheck = (patch) => updateFollowedBoard(boardUrl, { lastCheckedAt: Date.now(), lastError: null, ...patch });
+
+    // Exports started from the popup come first; the alarm fires again next period
+    const jobs = await listExportJobs();
+    if (jobs.some(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)) {
+        await finishCheck({ lastResult: "Skipped while another export was running" });
+        return;
+    }
+
+    let scraped;
+    try {
+        scraped = await collectBoardPins(boardUrl);
+    } catch (err) {
+        await finishCheck({ lastError: err.message });
+        return;
+    }
+
+    const seen = new Set(follow.seenPinKeys);
+    const newPins = scraped.pins.filter(pin => !seen.has(getSnapshotKey(pin)));
+    if (!newPins.length) {
+        await finishCheck({ lastResult: "No new pins" });
+        return;
+    }
+
+    const granted = await getFollowBudgetGrant(Math.min(newPins.length, settings.maxNewPinsPerCheck), settings.dailyPinBudget);
+    if (!granted) {
+        await finishCheck({ lastResult: `${newPins.length} new pins waiting: today's analysis budget is used up` });
+        return;
+    }
+
+    const analyzedKeys = new Set(newPins.slice(0, granted).map(getSnapshotKey));
+    const deferredKeys = new Set(newPins.slice(granted).map(getSnapshotKey));
+    const boardPinKeys = scraped.pins.map(getSnapshotKey).filter(key => !deferredKeys.has(key));
+
+    // The report covers what the last export analyzed plus the new pins; carried-over pins aren't analyzed again
+    const previousRun = await getLatestExportRun(boardUrl);
+    const previouslyAnalyzed = new Set((previousRun?.results || []).map(getSnapshotKey));
+    const selected = scraped.pins.filter(pin => analyzedKeys.has(getSnapshotKey(pin)) || previouslyAnalyzed.has(getSnapshotKey(pin)));
+
+    const job = await createExportJob({
+        ...(await loadFollowJobOptions(previousRun)),
+        selected,
+        boardName: follow.boardName || scraped.boardName,
+        boardUrl,
+        boardPinKeys,
+        incremental: true,
+        source: "follow",
+        followDeferredCount: deferredKeys.size
+    });
+
+    // seenPinKeys and the budget only move once the export is done (completeFollowJob), so a failed or cancelled one is retried
+    await finishCheck({ lastJobId: job.id, lastResult: `${granted} new pins queued for analysis` });
+    processExportQueue();
+}
+
+/**
+ * Records a finished follow export: its pins count as seen and its new pins are charged to today's budget.
+ * @param {Object} job The finished follow job
+ */
+async function completeFollowJob(job) {
+    const newCount = job.sync ? job.sync.newCount : job.total;
+    const deferred = job.options.followDeferredCount;
+    await chargeFollowBudget(newCount);
+    await updateFollowedBoard(job.boardUrl, {
+        seenPinKeys: job.boardPinKeys,
+        lastError: null,
+        lastResult: `${newCount} new pins analyzed${deferred ? `, ${deferred} left for the next check` : ""}`
+    });
+}
+
+/**
+ * Tells the user a followed board's updated report is ready; clicking opens it.
+ * @param {Object} job The finished follow job
+ */
+function notifyFollowReport(job) {
+    if (!chrome.notifications) return;
+
+    const newCount = job.sync ? job.sync.newCount : job.total;
+    chrome.notifications.create(`${FOLLOW_REPORT_NOTIFICATION_PREFIX}${job.id}`, {
+        type: "basic",
+        iconUrl: iconBase64,
+        title: `New pins on ${job.boardName}`,
+        message: `${newCount} new pins analyzed. Click to open the updated report.`,
+        priority: 1
+    });
+}
+
+/**
+ * Opens the report file a follow job downloaded (falls back to showing it in its folder).
+ * @param {string} runId
+ */
+async function openFollowReport(runId) {
+    const run = await getExportRun(runId);
+    if (!run) return;
+
+    // File bases only contain [a-z0-9_]; Chrome appends " (1)" when the name is taken
+    const fileBase = self.getExportFileBase(run.boardName);
+    const [item] = await chrome.downloads.search({
+        filenameRegex: `${fileBase}_summary( \\(\\d+\\))?\\.html$`,
+        state: "complete",
+        orderBy: ["-startTime"],
+        limit: 1
+    });
+    if (!item) return;
+
+    try {
+        await chrome.downloads.open(item.id);
+    } catch (err) {
+        console.warn("Could not open the report, showing it instead:", err);
+        chrome.downloads.show(item.id);
+    }
+}
+
+// Pick up any job that was interrupted when the worker was last suspended
+processExportQueue();
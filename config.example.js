@@ -1,5 +1,7 @@
 const CONFIG = {
     // Example configuration file.
     // Copy this to config.js and add your real key const CONFIG = {
-    GEMINI_API_KEY: "YOUR_GEMINI_API_KEY_HERE"
+    GEMINI_API_KEY: "YOUR_GEMINI_API_KEY_HERE",
+    // Optional: enables "Visual matches" from Lykdat image search
+    LYKDAT_API_KEY: ""
 };
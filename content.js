@@ -274,13 +274,15 @@ async function getPins() {
   };
 
   const boardName = getBoardName();
-  return { pins: Array.from(allPins.values()), boardName };
+  // Query string and hash dropped so the same board always maps to the same URL
+  const boardUrl = `${location.origin}${location.pathname.replace(/\/?$/, "/")}`;
+  return { pins: Array.from(allPins.values()), boardName, boardUrl };
 }
 
 chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
   if (request?.type === "GET_PINS") {
     getPins()
-      .then(({ pins, boardName }) => sendResponse({ success: true, pins, boardName }))
+      .then(({ pins, boardName, boardUrl }) => sendResponse({ success: true, pins, boardName, boardUrl }))
       .catch((error) => {
         console.error("Failed to collect pins", error);
         sendResponse({ success: false, error: error.message });
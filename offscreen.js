@@ -0,0 +1,24 @@
+// offscreen.js
+
+// The service worker can't call URL.createObjectURL; it stores the Blob in IndexedDB and asks for a URL here
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message.target !== "offscreen") return;
+
+  if (message.action === "CREATE_BLOB_URL") {
+    withObjectStore("pendingDownloads", "readonly", (store) => promisifyRequest(store.get(message.id)))
+      .then((entry) => {
+        if (!entry) {
+          sendResponse({ error: "Download data not found." });
+          return;
+        }
+        sendResponse({ url: URL.createObjectURL(entry.blob) });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.action === "REVOKE_BLOB_URL") {
+    URL.revokeObjectURL(message.url);
+    sendResponse({ status: "revoked" });
+  }
+});
@@ -8,24 +8,53 @@ const decisionControls = {
   approve: document.querySelector('[data-decision="approve"]'),
   reject: document.querySelector('[data-decision="reject"]'),
   undo: document.querySelector('[data-decision="undo"]'),
+  redo: document.querySelector('[data-decision="redo"]'),
 };
 const statusElement = document.getElementById("status");
 const cardContainer = document.getElementById("card-container");
+const gridReview = document.getElementById("grid-review");
+const gridContainer = document.getElementById("grid-container");
+const gridSelectionCount = document.getElementById("grid-selection-count");
+const reviewFilters = document.getElementById("review-filters");
+const reviewSearchInput = document.getElementById("review-search-input");
+const mediaFilterSelect = document.getElementById("media-filter-select");
+const hideGenericInput = document.getElementById("hide-generic-input");
+const groupDuplicatesInput = document.getElementById("group-duplicates-input");
+const skipDuplicatesBtn = document.getElementById("skip-duplicates-btn");
+const reviewFilterSummary = document.getElementById("review-filter-summary");
+const decisionFooter = document.getElementById("decision-footer");
+const reviewHistoryPanel = document.getElementById("review-history");
+const reviewHistorySummary = document.getElementById("review-history-summary");
+const reviewHistoryList = document.getElementById("review-history-list");
+const viewButtons = Array.from(document.querySelectorAll("[data-view]"));
 
 const state = {
   pins: [],
   selections: new Map(), // key -> boolean
   activePinIndex: 0,
   boardName: "Pinterest", // Default
+  boardUrl: null,
+  viewMode: "card", // "card" (one pin at a time) or "grid" (bulk selection)
 };
 
-const actionHistory = []; // Stores { pin, previousSelection }
+// Undoable review steps. Each entry is one user action (a card decision or a whole bulk grid action):
+// { label, changes: [{ key, before, after }], indexBefore, indexAfter }
+// Entries before `position` are applied; the ones after it can be redone.
+const reviewHistory = {
+  entries: [],
+  position: 0,
+};
+const MAX_REVIEW_HISTORY = 500;
 
 let baseStatusMessage = "";
 let statusIsError = false;
 
 const getPinKey = (pin) => pin.link;
 
+// Set by the background when the "Extract pins" command opens the popup; ignored once stale
+const PENDING_EXTRACTION_KEY = "pendingExtraction";
+const PENDING_EXTRACTION_TTL_MS = 30000;
+
 const getSelectedPins = () =>
   state.pins.filter((pin) => state.selections.get(getPinKey(pin)) === true); // Only explicit true
 
@@ -75,6 +104,8 @@ const toggleButtonsDisabled = (buttons, disabled) => {
 const updateExportState = () => {
   toggleButtonsDisabled(exportButtons, getSelectedPins().length === 0);
   renderStatus();
+  renderSelectionCount();
+  saveReviewSession();
 };
 
 const updateDecisionButtonsState = () => {
@@ -88,51 +119,143 @@ const updateDecisionButtonsState = () => {
     decisionDisabled
   );
 
-  // Undo disabled if at start
-  if (decisionControls.undo) {
-    decisionControls.undo.disabled = state.activePinIndex === 0;
+  toggleButtonsDisabled([decisionControls.undo], reviewHistory.position === 0);
+  toggleButtonsDisabled([decisionControls.redo], reviewHistory.position >= reviewHistory.entries.length);
+};
+
+const setSelection = (key, value) => {
+  if (value === undefined) {
+    state.selections.delete(key);
+  } else {
+    state.selections.set(key, value);
+  }
+};
+
+// Re-renders the active view and everything derived from the selections after they change
+const refreshAfterSelectionChange = () => {
+  if (state.viewMode === "grid") {
+    syncGridTiles();
+  } else {
+    // Scroll to top for the next card
+    window.scrollTo({ top: 0, behavior: 'auto' });
+    renderCurrentPin();
   }
+  updateExportState();
+  updateDecisionButtonsState();
+  renderReviewHistory();
+  renderFilterSummary();
+};
+
+/**
+ * Applies a set of selection changes as one undoable step, discarding anything that could have been redone.
+ * @param {string} label Shown in the history list
+ * @param {Array<[number, boolean]>} assignments [pin index, include] pairs
+ * @param {number} [indexAfter] Card position after the step (defaults to the current one)
+ */
+const recordReviewStep = (label, assignments, indexAfter = state.activePinIndex) => {
+  const changes = assignments
+    .map(([index, include]) => {
+      const key = getPinKey(state.pins[index]);
+      return { key, before: state.selections.get(key), after: include };
+    })
+    .filter((change) => change.before !== change.after);
+  if (!changes.length && indexAfter === state.activePinIndex) return;
+
+  reviewHistory.entries.splice(reviewHistory.position);
+  reviewHistory.entries.push({ label, changes, indexBefore: state.activePinIndex, indexAfter });
+  if (reviewHistory.entries.length > MAX_REVIEW_HISTORY) {
+    reviewHistory.entries.shift();
+  }
+  reviewHistory.position = reviewHistory.entries.length;
+
+  changes.forEach(({ key, after }) => setSelection(key, after));
+  state.activePinIndex = indexAfter;
+  refreshAfterSelectionChange();
+};
+
+const describePin = (pin) => {
+  const title = pin.title || "Untitled Pin";
+  return title.length > 40 ? `"${title.slice(0, 39)}…"` : `"${title}"`;
 };
 
 const commitCardDecision = (include) => {
   const pin = state.pins[state.activePinIndex];
   if (!pin) return;
 
-  const key = getPinKey(pin);
-  const previousSelection = state.selections.get(key);
+  recordReviewStep(`${include ? "Kept" : "Skipped"} ${describePin(pin)}`, [[state.activePinIndex, include]], findVisibleIndex(state.activePinIndex + 1));
+};
 
-  state.selections.set(key, include);
-  actionHistory.push({ pin, previousSelection });
+/**
+ * Moves through the history to `position` (0 = before the first step), restoring selections and the card position.
+ * @param {number} position
+ */
+const jumpToHistory = (position) => {
+  const target = Math.max(0, Math.min(position, reviewHistory.entries.length));
+  if (target === reviewHistory.position) return;
+
+  while (reviewHistory.position > target) {
+    const entry = reviewHistory.entries[--reviewHistory.position];
+    entry.changes.forEach(({ key, before }) => setSelection(key, before));
+    state.activePinIndex = entry.indexBefore;
+  }
+  while (reviewHistory.position < target) {
+    const entry = reviewHistory.entries[reviewHistory.position++];
+    entry.changes.forEach(({ key, after }) => setSelection(key, after));
+    state.activePinIndex = entry.indexAfter;
+  }
+  refreshAfterSelectionChange();
+};
 
-  state.activePinIndex++;
+const undoLastAction = () => jumpToHistory(reviewHistory.position - 1);
 
-  // Scroll to top for next card
-  window.scrollTo({ top: 0, behavior: 'auto' });
+const redoLastAction = () => jumpToHistory(reviewHistory.position + 1);
 
+// Goes back one card without touching any decision (the pin can then be decided again)
+const goToPreviousPin = () => {
+  const previous = findVisibleIndex(state.activePinIndex - 1, -1);
+  if (previous < 0) return;
+  state.activePinIndex = previous;
+  window.scrollTo({ top: 0, behavior: 'auto' });
   renderCurrentPin();
-  updateExportState();
+  renderStatus();
   updateDecisionButtonsState();
+  saveReviewSession();
 };
 
-const undoLastAction = () => {
-  if (state.activePinIndex <= 0) return;
+const clearReviewHistory = () => {
+  reviewHistory.entries.length = 0;
+  reviewHistory.position = 0;
+  renderReviewHistory();
+};
 
-  state.activePinIndex--;
-  const lastAction = actionHistory.pop();
+const createHistoryItem = (label, position) => {
+  const item = document.createElement("li");
+  item.className = "review-history-item";
+  item.classList.toggle("current", position === reviewHistory.position);
+  item.classList.toggle("undone", position > reviewHistory.position);
+  item.textContent = label;
+  item.title = position === reviewHistory.position ? "Current state" : "Jump to this point";
+  item.addEventListener("click", () => jumpToHistory(position));
+  return item;
+};
 
-  // Restore selection state (optional, or just leave it as is, it will be overwritten if they decide again)
-  // But logically, if we undo, we might want to revert the selection map change?
-  // Actually, keeping the map change is fine, but visually we are back to deciding.
-  // Let's restore strictly if we want to support "Cancel" but here we just go back.
+// Newest step first; steps after the current one stay listed (dimmed) until a new decision replaces them
+const renderReviewHistory = () => {
+  if (!reviewHistoryList) return;
 
-  // Scroll to top
-  window.scrollTo({ top: 0, behavior: 'auto' });
+  reviewHistorySummary.textContent = `History (${reviewHistory.position}/${reviewHistory.entries.length})`;
+  reviewHistoryPanel.hidden = !state.pins.length;
+  if (!reviewHistoryPanel.open) return;
 
-  renderCurrentPin();
-  updateExportState();
-  updateDecisionButtonsState();
+  reviewHistoryList.textContent = "";
+  for (let position = reviewHistory.entries.length; position > 0; position--) {
+    reviewHistoryList.appendChild(createHistoryItem(reviewHistory.entries[position - 1].label, position));
+  }
+  reviewHistoryList.appendChild(createHistoryItem("Start of review", 0));
 };
 
+reviewHistoryPanel?.addEventListener("toggle", renderReviewHistory);
+
 const createCard = (pin) => {
   const card = document.createElement("div");
   card.className = "card";
@@ -184,6 +307,14 @@ const createCard = (pin) => {
     cardContent.appendChild(video);
   }
 
+  const similarCount = getSimilarCount(pin);
+  if (similarCount) {
+    const similar = document.createElement("p");
+    similar.className = "pin-similar";
+    similar.textContent = `+${similarCount} near-duplicate${similarCount === 1 ? "" : "s"} hidden`;
+    cardContent.appendChild(similar);
+  }
+
   const link = document.createElement("a");
   link.className = "pin-link";
   link.textContent = "View on Pinterest";
@@ -230,27 +361,577 @@ const renderCurrentPin = () => {
   cardContainer.appendChild(card);
 };
 
+// --- Review Filters ---
+// Filters only change which pins are shown (in both views); hidden pins keep their decisions
+
+// Pin key -> dHash of its thumbnail, or null if the image couldn't be loaded. Kept while the popup is open.
+const imageHashes = new Map();
+const IMAGE_HASH_CONCURRENCY = 4;
+let imageHashingPromise = null;
+
+// Key of the first pin of each near-duplicate group -> keys of all its pins, and each member key -> that first key
+let duplicateGroups = new Map();
+let duplicateOf = new Map();
+
+// content.js names pins it couldn't find a title for "<board name> Pin"
+const isGenericTitle = (pin) => {
+  const title = (pin.title || "").trim();
+  return !title || title === "Untitled Pin" || title === `${state.boardName} Pin`;
+};
+
+const isGroupingDuplicates = () => Boolean(groupDuplicatesInput?.checked);
+
+const matchesReviewFilters = (pin) => {
+  const query = (reviewSearchInput?.value || "").trim().toLowerCase();
+  if (query && !`${pin.title || ""} ${pin.description || ""}`.toLowerCase().includes(query)) return false;
+
+  const media = mediaFilterSelect?.value || "all";
+  if (media === "video" && !pin.videoUrl) return false;
+  if (media === "image" && pin.videoUrl) return false;
+
+  if (hideGenericInput?.checked && isGenericTitle(pin)) return false;
+
+  // A group of near-duplicates is shown as its first pin
+  const groupKey = duplicateOf.get(getPinKey(pin));
+  return !isGroupingDuplicates() || !groupKey || groupKey === getPinKey(pin);
+};
+
+// Indexes of the pins the filters leave visible; grid clicks and bulk actions only touch these
+const getVisibleIndexes = () =>
+  state.pins.map((_, index) => index).filter((index) => matchesReviewFilters(state.pins[index]));
+
+/**
+ * First visible card position from `from` onwards (or backwards with step -1).
+ * @returns {number} state.pins.length (forwards) or -1 (backwards) when there is none
+ */
+const findVisibleIndex = (from, step = 1) => {
+  for (let index = from; index >= 0 && index < state.pins.length; index += step) {
+    if (matchesReviewFilters(state.pins[index])) return index;
+  }
+  return step > 0 ? state.pins.length : -1;
+};
+
+// How many near-duplicates a shown pin stands in for
+const getSimilarCount = (pin) => {
+  if (!isGroupingDuplicates()) return 0;
+  const members = duplicateGroups.get(getPinKey(pin));
+  return members ? members.length - 1 : 0;
+};
+
+// The grouped-away pins, i.e. every member of a group except its first pin
+const getDuplicateIndexes = () =>
+  state.pins
+    .map((pin, index) => ({ key: getPinKey(pin), index }))
+    .filter(({ key }) => duplicateOf.has(key) && duplicateOf.get(key) !== key)
+    .map(({ index }) => index);
+
+const renderFilterSummary = () => {
+  if (!reviewFilters) return;
+  reviewFilters.hidden = !state.pins.length;
+
+  const shown = getVisibleIndexes().length;
+  const parts = [`${shown} of ${state.pins.length} pins shown`];
+  if (isGroupingDuplicates() && duplicateGroups.size) {
+    parts.push(`${duplicateGroups.size} near-duplicate group${duplicateGroups.size === 1 ? "" : "s"}`);
+  }
+  reviewFilterSummary.textContent = parts.join(" · ");
+
+  const duplicates = getDuplicateIndexes();
+  skipDuplicatesBtn.hidden = !isGroupingDuplicates() || !duplicates.length;
+  skipDuplicatesBtn.disabled = duplicates.every((index) => state.selections.get(getPinKey(state.pins[index])) === false);
+};
+
+// Re-applies the filters to the active view; in card view a hidden current pin moves on to the next shown one
+const applyReviewFilters = () => {
+  if (state.viewMode === "grid") {
+    syncGridTiles();
+    renderSelectionCount();
+  } else {
+    if (state.activePinIndex < state.pins.length && !matchesReviewFilters(state.pins[state.activePinIndex])) {
+      state.activePinIndex = findVisibleIndex(state.activePinIndex);
+      saveReviewSession();
+    }
+    renderCurrentPin();
+    renderStatus();
+    updateDecisionButtonsState();
+  }
+  renderFilterSummary();
+};
+
+const resetReviewFilters = () => {
+  if (reviewSearchInput) reviewSearchInput.value = "";
+  if (mediaFilterSelect) mediaFilterSelect.value = "all";
+  if (hideGenericInput) hideGenericInput.checked = false;
+  if (groupDuplicatesInput) groupDuplicatesInput.checked = false;
+  duplicateGroups = new Map();
+  duplicateOf = new Map();
+};
+
+// Hashes every pin thumbnail not hashed yet, a few downloads at a time
+const hashPinImages = async () => {
+  const queue = state.pins.filter((pin) => pin.imageUrl && !imageHashes.has(getPinKey(pin)));
+  const total = queue.length;
+  let done = 0;
+
+  const worker = async () => {
+    while (queue.length) {
+      const pin = queue.shift();
+      try {
+        imageHashes.set(getPinKey(pin), await computeImageDHash(pin.imageUrl));
+      } catch (error) {
+        console.warn("Could not hash pin image:", pin.imageUrl, error);
+        imageHashes.set(getPinKey(pin), null);
+      }
+      done++;
+      setStatus(`Comparing images... ${done}/${total}`);
+    }
+  };
+  await Promise.all(Array.from({ length: IMAGE_HASH_CONCURRENCY }, worker));
+};
+
+const updateDuplicateGroups = async () => {
+  if (!imageHashingPromise) {
+    imageHashingPromise = hashPinImages().finally(() => {
+      imageHashingPromise = null;
+    });
+  }
+  await imageHashingPromise;
+
+  const entries = state.pins
+    .map((pin) => ({ key: getPinKey(pin), hash: imageHashes.get(getPinKey(pin)) }))
+    .filter(({ hash }) => hash);
+  duplicateGroups = groupNearDuplicates(entries);
+  duplicateOf = new Map();
+  duplicateGroups.forEach((members, groupKey) => members.forEach((key) => duplicateOf.set(key, groupKey)));
+};
+
+[reviewSearchInput, mediaFilterSelect, hideGenericInput].forEach((control) => {
+  control?.addEventListener(control.type === "search" ? "input" : "change", applyReviewFilters);
+});
+
+groupDuplicatesInput?.addEventListener("change", async () => {
+  if (groupDuplicatesInput.checked) {
+    groupDuplicatesInput.disabled = true;
+    try {
+      await updateDuplicateGroups();
+      const hidden = getDuplicateIndexes().length;
+      setStatus(hidden
+        ? `Grouped ${countLabel(hidden)} into ${duplicateGroups.size} near-duplicate group${duplicateGroups.size === 1 ? "" : "s"}.`
+        : "No near-duplicate images found.");
+    } catch (error) {
+      setStatus(`Could not compare images: ${error.message}`, true);
+    } finally {
+      groupDuplicatesInput.disabled = false;
+    }
+  }
+  applyReviewFilters();
+});
+
+// Skips every grouped-away duplicate in one undoable step, so only the first pin of each group is exported
+skipDuplicatesBtn?.addEventListener("click", () => {
+  const duplicates = getDuplicateIndexes();
+  recordReviewStep(`Skipped ${countLabel(duplicates.length)} (near-duplicates)`, duplicates.map((index) => [index, false]));
+});
+
+// --- Grid Review ---
+
+// Tile the last plain click landed on; Shift-click applies the same decision from here to the clicked tile
+let gridAnchorIndex = null;
+
+const renderSelectionCount = () => {
+  if (!gridSelectionCount) return;
+  const shown = getVisibleIndexes().length;
+  const filtered = shown < state.pins.length ? ` (${shown} shown)` : "";
+  gridSelectionCount.textContent = `${getSelectedPins().length} of ${state.pins.length} selected${filtered}`;
+};
+
+// Reflects state.selections and the filter on the existing tiles without rebuilding them
+const syncGridTiles = () => {
+  Array.from(gridContainer.children).forEach((tile) => {
+    const pin = state.pins[Number(tile.dataset.index)];
+    if (!pin) return;
+    const selection = state.selections.get(getPinKey(pin));
+    tile.classList.toggle("selected", selection === true);
+    tile.classList.toggle("skipped", selection === false);
+    tile.setAttribute("aria-pressed", String(selection === true));
+    tile.hidden = !matchesReviewFilters(pin);
+
+    const similarCount = getSimilarCount(pin);
+    const similar = tile.querySelector(".grid-tile-similar");
+    similar.hidden = !similarCount;
+    similar.textContent = `+${similarCount}`;
+  });
+};
+
+const createGridTile = (pin, index) => {
+  const tile = document.createElement("div");
+  tile.className = "grid-tile";
+  tile.dataset.index = String(index);
+  tile.title = pin.title || "Untitled Pin";
+  tile.setAttribute("role", "button");
+
+  if (pin.imageUrl) {
+    const img = document.createElement("img");
+    img.src = pin.imageUrl;
+    img.alt = pin.title || "Pin image";
+    img.loading = "lazy";
+    tile.appendChild(img);
+  }
+
+  if (pin.videoUrl) {
+    const video = document.createElement("span");
+    video.className = "grid-tile-video";
+    video.textContent = "▶ Video";
+    tile.appendChild(video);
+  }
+
+  const similar = document.createElement("span");
+  similar.className = "grid-tile-similar";
+  similar.title = "Near-duplicates hidden";
+  tile.appendChild(similar);
+
+  const check = document.createElement("span");
+  check.className = "grid-tile-check";
+  check.textContent = "✓";
+  tile.appendChild(check);
+
+  return tile;
+};
+
+const renderGrid = () => {
+  gridContainer.textContent = "";
+  gridAnchorIndex = null;
+
+  if (!state.pins.length) {
+    gridContainer.textContent = "No pins loaded.";
+    return;
+  }
+
+  state.pins.forEach((pin, index) => gridContainer.appendChild(createGridTile(pin, index)));
+  syncGridTiles();
+  renderSelectionCount();
+};
+
+// One undoable step for the whole click, range or bulk action
+const setGridSelection = (label, indexes, include) => {
+  recordReviewStep(label, indexes.map((index) => [index, include]));
+};
+
+const countLabel = (count) => `${count} pin${count === 1 ? "" : "s"}`;
+
+const handleGridClick = (event) => {
+  const tile = event.target.closest(".grid-tile");
+  if (!tile) return;
+
+  const index = Number(tile.dataset.index);
+  const include = state.selections.get(getPinKey(state.pins[index])) !== true;
+
+  if (event.shiftKey && gridAnchorIndex !== null) {
+    const start = Math.min(gridAnchorIndex, index);
+    const end = Math.max(gridAnchorIndex, index);
+    const range = getVisibleIndexes().filter((i) => i >= start && i <= end);
+    setGridSelection(`${include ? "Kept" : "Skipped"} ${countLabel(range.length)} (range)`, range, include);
+  } else {
+    setGridSelection(`${include ? "Kept" : "Skipped"} ${describePin(state.pins[index])}`, [index], include);
+  }
+  gridAnchorIndex = index;
+};
+
+const bulkGridSelect = (mode) => {
+  const allIndexes = getVisibleIndexes();
+  if (mode === "all") {
+    setGridSelection(`Selected all ${countLabel(allIndexes.length)}`, allIndexes, true);
+  } else if (mode === "none") {
+    setGridSelection(`Deselected all ${countLabel(allIndexes.length)}`, allIndexes, false);
+  } else if (mode === "invert") {
+    const isSelected = (index) => state.selections.get(getPinKey(state.pins[index])) === true;
+    recordReviewStep(`Inverted ${countLabel(allIndexes.length)}`, allIndexes.map((index) => [index, !isSelected(index)]));
+  }
+};
+
+// Renders whichever review view is active; both read and write the same state.selections
+const renderReview = () => {
+  if (state.viewMode === "grid") {
+    renderGrid();
+  } else {
+    renderCurrentPin();
+  }
+  renderFilterSummary();
+};
+
+const setViewMode = (mode) => {
+  state.viewMode = mode;
+  const isGrid = mode === "grid";
+
+  cardContainer.hidden = isGrid;
+  gridReview.hidden = !isGrid;
+  if (decisionFooter) decisionFooter.hidden = isGrid;
+  viewButtons.forEach((button) => button.classList.toggle("active", button.dataset.view === mode));
+
+  renderReview();
+  updateDecisionButtonsState();
+  saveReviewSession();
+};
+
+gridContainer?.addEventListener("click", handleGridClick);
+document.querySelectorAll("[data-grid-select]").forEach((button) => {
+  button.addEventListener("click", () => bulkGridSelect(button.dataset.gridSelect));
+});
+viewButtons.forEach((button) => {
+  button.addEventListener("click", () => setViewMode(button.dataset.view));
+});
+
+// --- Review Session ---
+// The review (pins, decisions, position, undo stack) is saved per board so closing the popup doesn't lose it.
+// Each board has its own storage keys: the pins, written once, and the decisions and history, rewritten
+// (debounced) as the review goes. REVIEW_SESSIONS_KEY only maps board URLs to their save time.
+const REVIEW_SESSIONS_KEY = "reviewSessions";
+const REVIEW_SESSION_PREFIX = "reviewSession:";
+const REVIEW_SESSION_PINS_PREFIX = "reviewSessionPins:";
+const MAX_REVIEW_SESSIONS = 10;
+const REVIEW_SESSION_SAVE_DELAY_MS = 500;
+
+const resumePrompt = document.getElementById("resume-prompt");
+const resumeTitle = document.getElementById("resume-title");
+const resumeSummary = document.getElementById("resume-summary");
+const resumeSessionBtn = document.getElementById("resume-session-btn");
+const startOverBtn = document.getElementById("start-over-btn");
+
+// Same normalization as content.js, so a tab URL with a query string or hash finds the board's session
+const toBoardUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname.replace(/\/?$/, "/")}`;
+  } catch {
+    return null;
+  }
+};
+
+// Writes are chained so a quick run of decisions can't land out of order
+let sessionWriteChain = Promise.resolve();
+
+/**
+ * Updates the session index and writes the keys `mutate` returns; boards that drop out of the index
+ * (deleted, or beyond MAX_REVIEW_SESSIONS) have their keys removed.
+ * @param {(index: Object<string, number>) => Object|void} mutate
+ */
+const updateReviewSessions = (mutate) => {
+  sessionWriteChain = sessionWriteChain
+    .then(async () => {
+      const result = await chrome.storage.local.get(REVIEW_SESSIONS_KEY);
+      const index = result[REVIEW_SESSIONS_KEY] || {};
+      const before = Object.keys(index);
+      const writes = mutate(index) || {};
+
+      Object.keys(index)
+        .sort((a, b) => index[b] - index[a])
+        .slice(MAX_REVIEW_SESSIONS)
+        .forEach((boardUrl) => delete index[boardUrl]);
+      const removed = before
+        .filter((boardUrl) => !(boardUrl in index))
+        .flatMap((boardUrl) => [REVIEW_SESSION_PREFIX + boardUrl, REVIEW_SESSION_PINS_PREFIX + boardUrl]);
+
+      await chrome.storage.local.set({ ...writes, [REVIEW_SESSIONS_KEY]: index });
+      if (removed.length) await chrome.storage.local.remove(removed);
+    })
+    .catch((err) => console.warn("Failed to save the review session", err));
+  return sessionWriteChain;
+};
+
+// Pins only change when a board is extracted, so they are written once rather than with every decision
+let savedSessionPins = null;
+let sessionSaveTimer = null;
+
+const writeReviewSession = () => {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = null;
+  if (!state.boardUrl || !state.pins.length) return;
+
+  const boardUrl = state.boardUrl;
+  const session = {
+    boardUrl,
+    boardName: state.boardName,
+    selections: Array.from(state.selections.entries()),
+    activePinIndex: state.activePinIndex,
+    viewMode: state.viewMode,
+    // Changes are keyed by pin key, so the history is stored as-is
+    history: reviewHistory,
+    savedAt: Date.now(),
+  };
+  const writes = { [REVIEW_SESSION_PREFIX + boardUrl]: session };
+  if (savedSessionPins !== state.pins) {
+    writes[REVIEW_SESSION_PINS_PREFIX + boardUrl] = state.pins;
+    savedSessionPins = state.pins;
+  }
+
+  updateReviewSessions((index) => {
+    index[boardUrl] = session.savedAt;
+    return writes;
+  });
+};
+
+const saveReviewSession = () => {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(writeReviewSession, REVIEW_SESSION_SAVE_DELAY_MS);
+};
+
+// Don't lose the last decisions when the popup closes inside the debounce window
+window.addEventListener("pagehide", () => {
+  if (sessionSaveTimer) writeReviewSession();
+});
+
+const loadReviewSession = async (boardUrl) => {
+  if (!boardUrl) return null;
+  const sessionKey = REVIEW_SESSION_PREFIX + boardUrl;
+  const pinsKey = REVIEW_SESSION_PINS_PREFIX + boardUrl;
+  const result = await chrome.storage.local.get([sessionKey, pinsKey]);
+  return result[sessionKey] && result[pinsKey] ? { ...result[sessionKey], pins: result[pinsKey] } : null;
+};
+
+const deleteReviewSession = (boardUrl) => updateReviewSessions((index) => {
+  delete index[boardUrl];
+});
+
+const hideResumePrompt = () => {
+  resumePrompt?.classList.remove("active");
+};
+
+const restoreReviewSession = (session) => {
+  state.pins = session.pins;
+  savedSessionPins = session.pins;
+  state.selections.clear();
+  session.selections.forEach(([key, value]) => state.selections.set(key, value));
+  state.activePinIndex = Math.min(session.activePinIndex, session.pins.length);
+  state.boardName = session.boardName;
+  state.boardUrl = session.boardUrl;
+  resetReviewFilters();
+  reviewHistory.entries = session.history?.entries || [];
+  reviewHistory.position = Math.min(session.history?.position ?? reviewHistory.entries.length, reviewHistory.entries.length);
+  renderReviewHistory();
+
+  hideResumePrompt();
+  setViewMode(session.viewMode || "card");
+  setStatus(`Resumed review of "${session.boardName}".`);
+  updateExportState();
+};
+
+const showResumePrompt = (session) => {
+  const reviewed = Math.min(session.activePinIndex, session.pins.length);
+  const selected = session.selections.filter(([, value]) => value === true).length;
+
+  resumeTitle.textContent = `Resume "${session.boardName}"?`;
+  resumeSummary.textContent = `Reviewed ${reviewed} of ${session.pins.length} pins, ${selected} selected. ` +
+    `Saved ${new Date(session.savedAt).toLocaleString()}.`;
+  resumeSessionBtn.onclick = () => restoreReviewSession(session);
+  startOverBtn.onclick = () => {
+    hideResumePrompt();
+    deleteReviewSession(session.boardUrl).then(requestPinsFromActiveTab);
+  };
+  resumePrompt.classList.add("active");
+};
+
 // --- Initialization & Event Listeners ---
 
 // Modal Elements
 const exportModal = document.getElementById("export-modal");
+const exportModalTitle = document.getElementById("export-modal-title");
 const genderSelect = document.getElementById("gender-select");
 const itemTypeSelect = document.getElementById("item-type-select");
 const brandsSelect = document.getElementById("brands-select");
+const formatSelect = document.getElementById("format-select");
+const formatWarning = document.getElementById("format-warning");
+const embedImagesRow = document.getElementById("embed-images-row");
+const embedImagesInput = document.getElementById("embed-images-input");
+const incrementalRow = document.getElementById("incremental-row");
+const incrementalInput = document.getElementById("incremental-input");
+const incrementalSummary = document.getElementById("incremental-summary");
 const confirmExportBtn = document.getElementById("confirm-export");
 const cancelExportBtn = document.getElementById("cancel-export");
 
+// A past run from the history view being exported again with new preferences (no re-scraping)
+let pendingRerun = null;
+
+// Pins and board the export modal is about to export
+const getExportSource = () => pendingRerun
+  ? {
+    pins: pendingRerun.sourcePins,
+    boardName: pendingRerun.boardName,
+    boardUrl: pendingRerun.boardUrl,
+    boardPinKeys: pendingRerun.boardPinKeys,
+  }
+  : {
+    pins: getSelectedPins(),
+    boardName: state.boardName,
+    boardUrl: state.boardUrl,
+    boardPinKeys: state.pins.map(getPinKey),
+  };
+
 const showExportModal = () => {
-  const selected = getSelectedPins();
-  if (!selected.length) {
+  if (!getExportSource().pins.length) {
     setStatus("Select at least one pin before exporting.", true);
     return;
   }
+  if (exportModalTitle) {
+    exportModalTitle.textContent = pendingRerun ? `Re-run "${pendingRerun.boardName}"` : "Finalize Export";
+  }
+  renderFormatOptions();
+  renderIncrementalOption();
   exportModal.classList.add("active");
 };
 
+// Offers "new since last export" when this board has been exported before (not for history re-runs)
+const renderIncrementalOption = async () => {
+  if (!incrementalRow) return;
+  incrementalRow.style.display = "none";
+  if (pendingRerun) return;
+
+  let previousRun = null;
+  try {
+    previousRun = await getLatestExportRun(state.boardUrl);
+  } catch (err) {
+    console.warn("Failed to look up the previous export", err);
+  }
+  if (!previousRun) return;
+
+  const { pins, boardPinKeys } = getExportSource();
+  const { carried, newCount, removed } = diffAgainstExportRun(pins, boardPinKeys, previousRun);
+  incrementalSummary.textContent = `Last exported ${new Date(previousRun.createdAt).toLocaleDateString()}: ` +
+    `${newCount} new, ${carried.length} already analyzed, ${removed.length} removed from the board. ` +
+    "Earlier results are only reused if the preferences are unchanged.";
+  incrementalRow.style.display = "";
+};
+
+// Shows the options that apply to the chosen format, and flags pins a Pinterest re-import would reject
+const renderFormatOptions = () => {
+  if (embedImagesRow) {
+    embedImagesRow.style.display = EMBED_IMAGE_FORMATS.includes(formatSelect?.value) ? "" : "none";
+  }
+  if (!formatWarning) return;
+
+  const { pins: selected, boardName } = getExportSource();
+  const { flagged } = formatSelect?.value === "pinterest"
+    ? validatePinterestRows(buildPinterestRows(selected, boardName))
+    : { flagged: [] };
+
+  if (!flagged.length) {
+    formatWarning.style.display = "none";
+    formatWarning.textContent = "";
+    return;
+  }
+
+  const examples = flagged.slice(0, 3)
+    .map(({ index, problems }) => `"${selected[index].title || selected[index].link || "Untitled"}" (${problems.join(", ")})`)
+    .join("; ");
+  const more = flagged.length > 3 ? ` and ${flagged.length - 3} more` : "";
+  formatWarning.textContent = `${flagged.length} of ${selected.length} pins will be left out: ${examples}${more}.`;
+  formatWarning.style.display = "";
+};
+
+formatSelect?.addEventListener("change", renderFormatOptions);
+
 const hideExportModal = () => {
   exportModal.classList.remove("active");
+  pendingRerun = null;
 };
 
 // AI Model
@@ -280,6 +961,27 @@ const settingsBtn = document.getElementById("settings-btn");
 const closeSettingsBtn = document.getElementById("close-settings");
 const saveSettingsBtn = document.getElementById("save-settings");
 const apiKeyInput = document.getElementById("api-key-input");
+const clearCacheBtn = document.getElementById("clear-cache-btn");
+const lykdatKeyInput = document.getElementById("lykdat-key-input");
+const providerSelect = document.getElementById("provider-select");
+const fallbackList = document.getElementById("fallback-provider-list");
+const providerFieldGroups = Array.from(document.querySelectorAll("[data-provider-fields]"));
+const providerInputs = {
+  openai: {
+    baseUrl: document.getElementById("openai-base-url-input"),
+    apiKey: document.getElementById("openai-api-key-input"),
+    model: document.getElementById("openai-model-input"),
+  },
+  ollama: {
+    baseUrl: document.getElementById("ollama-base-url-input"),
+    model: document.getElementById("ollama-model-input"),
+  },
+};
+const limitInputs = {
+  maxConcurrent: document.getElementById("max-concurrent-input"),
+  requestsPerMinute: document.getElementById("rpm-input"),
+  tokensPerMinute: document.getElementById("tpm-input"),
+};
 
 let geminiApiKey = "";
 
@@ -293,8 +995,6 @@ if (configKey) {
   if (apiKeyInput) {
     apiKeyInput.value = "**************** (Managed by config.js)";
     apiKeyInput.disabled = true;
-    saveSettingsBtn.disabled = true;
-    saveSettingsBtn.textContent = "Managed via config.js";
   }
 } else {
   // Fallback to storage
@@ -307,8 +1007,182 @@ if (configKey) {
   });
 }
 
+// Lykdat visual search key: config.js wins, otherwise storage
+let lykdatApiKey = (typeof CONFIG !== 'undefined' && CONFIG.LYKDAT_API_KEY) ? CONFIG.LYKDAT_API_KEY : "";
+const lykdatManagedByConfig = !!lykdatApiKey;
+
+if (lykdatManagedByConfig) {
+  if (lykdatKeyInput) {
+    lykdatKeyInput.value = "**************** (Managed by config.js)";
+    lykdatKeyInput.disabled = true;
+  }
+} else {
+  chrome.storage.local.get(["lykdatApiKey"], (result) => {
+    if (result.lykdatApiKey) {
+      lykdatApiKey = result.lykdatApiKey;
+      if (lykdatKeyInput) lykdatKeyInput.value = lykdatApiKey;
+    }
+  });
+}
+
+// Load Gemini quota limits (shared scheduler settings used by the background export)
+const renderLimitInputs = (limits) => {
+  Object.entries(limitInputs).forEach(([key, input]) => {
+    if (input) input.value = limits[key];
+  });
+};
+
+chrome.storage.local.get(["geminiLimits"], (result) => {
+  renderLimitInputs({ ...DEFAULT_SCHEDULER_LIMITS, ...(result.geminiLimits || {}) });
+});
+
+const readLimitInputs = () => {
+  const limits = {};
+  Object.entries(limitInputs).forEach(([key, input]) => {
+    const value = parseInt(input?.value, 10);
+    limits[key] = Number.isFinite(value) && value > 0 ? value : DEFAULT_SCHEDULER_LIMITS[key];
+  });
+  return limits;
+};
+
+const renderCacheButton = () => {
+  if (!clearCacheBtn) return;
+  countAnalysisCache()
+    .then((count) => {
+      clearCacheBtn.textContent = `Clear cache (${count} ${count === 1 ? "entry" : "entries"})`;
+      clearCacheBtn.disabled = count === 0;
+    })
+    .catch(() => {
+      clearCacheBtn.textContent = "Clear cache";
+    });
+};
+
+// --- Vision Provider Settings ---
+// id "" = automatic (Gemini if a key is set, else Lens); fallbacks are tried in order when it finds nothing
+let visionProvider = { id: "", fallbacks: ["text"], openai: {}, ollama: {} };
+
+if (providerSelect) {
+  const autoOption = document.createElement("option");
+  autoOption.value = "";
+  autoOption.textContent = "Automatic (Gemini, or Lens without a key)";
+  providerSelect.appendChild(autoOption);
+
+  listVisionProviders().forEach((provider) => {
+    const option = document.createElement("option");
+    option.value = provider.id;
+    option.textContent = provider.label;
+    providerSelect.appendChild(option);
+  });
+}
+
+if (fallbackList) {
+  listVisionProviders().forEach((provider) => {
+    const label = document.createElement("label");
+    label.className = "checkbox-row";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = provider.id;
+    label.append(checkbox, ` ${provider.label}`);
+    fallbackList.appendChild(label);
+  });
+}
+
+const getFallbackCheckboxes = () => Array.from(fallbackList?.querySelectorAll("input[type=checkbox]") || []);
+
+// Primary first, then checked fallbacks in registry order
+const getSelectedProviderIds = () => [
+  providerSelect?.value || "",
+  ...getFallbackCheckboxes().filter(cb => cb.checked).map(cb => cb.value),
+];
+
+const renderProviderFields = () => {
+  const selectedIds = getSelectedProviderIds();
+  providerFieldGroups.forEach((group) => {
+    const id = group.dataset.providerFields;
+    // The Gemini key also drives the automatic mode
+    const visible = selectedIds.includes(id) || (id === "gemini" && selectedIds[0] === "");
+    group.style.display = visible ? "" : "none";
+  });
+  // The primary provider can't also be its own fallback
+  getFallbackCheckboxes().forEach((cb) => {
+    cb.disabled = cb.value === selectedIds[0];
+  });
+};
+
+const renderProviderSettings = () => {
+  if (providerSelect) providerSelect.value = visionProvider.id || "";
+  getFallbackCheckboxes().forEach((cb) => {
+    cb.checked = (visionProvider.fallbacks || []).includes(cb.value);
+  });
+  Object.entries(providerInputs).forEach(([id, inputs]) => {
+    Object.entries(inputs).forEach(([field, input]) => {
+      if (input) input.value = visionProvider[id]?.[field] || "";
+    });
+  });
+  renderProviderFields();
+};
+
+const readProviderSettings = () => {
+  const [id, ...fallbacks] = getSelectedProviderIds();
+  const settings = { id, fallbacks: fallbacks.filter(fallbackId => fallbackId !== id) };
+  Object.entries(providerInputs).forEach(([id, inputs]) => {
+    settings[id] = {};
+    Object.entries(inputs).forEach(([field, input]) => {
+      const value = input?.value.trim();
+      if (value) settings[id][field] = value;
+    });
+  });
+  return settings;
+};
+
+// Custom endpoints need host access granted at runtime (optional_host_permissions)
+const requestProviderHostPermission = (settings) => {
+  const defaultBaseUrls = { openai: DEFAULT_OPENAI_BASE_URL, ollama: DEFAULT_OLLAMA_BASE_URL };
+  const origins = [];
+  for (const id of [settings.id, ...settings.fallbacks]) {
+    const baseUrl = settings[id]?.baseUrl || defaultBaseUrls[id];
+    if (!baseUrl) continue;
+    try {
+      origins.push(`${new URL(baseUrl).origin}/*`);
+    } catch {
+      return Promise.resolve(false);
+    }
+  }
+  if (!origins.length) return Promise.resolve(true);
+  return chrome.permissions.request({ origins });
+};
+
+chrome.storage.local.get(["visionProvider"], (result) => {
+  if (result.visionProvider) {
+    visionProvider = { ...visionProvider, ...result.visionProvider };
+  }
+  renderProviderSettings();
+});
+
+providerSelect?.addEventListener("change", renderProviderFields);
+fallbackList?.addEventListener("change", renderProviderFields);
+
+// Builds the provider chain of the START_EXPORT payload (Gemini's key travels separately as geminiApiKey)
+const getProviderPayload = () => ({
+  id: visionProvider.id || null,
+  fallbacks: visionProvider.fallbacks || [],
+  settings: { openai: visionProvider.openai || {}, ollama: visionProvider.ollama || {} },
+});
+
 settingsBtn?.addEventListener("click", () => {
   settingsModal.classList.add("active");
+  renderProviderSettings();
+  renderCacheButton();
+});
+
+clearCacheBtn?.addEventListener("click", () => {
+  clearAnalysisCache()
+    .then(() => {
+      setStatus("Analysis cache cleared.");
+      setTimeout(() => setStatus(""), 2000);
+    })
+    .catch((err) => setStatus(`Failed to clear cache: ${err.message}`, true))
+    .finally(renderCacheButton);
 });
 
 closeSettingsBtn?.addEventListener("click", () => {
@@ -316,6 +1190,37 @@ closeSettingsBtn?.addEventListener("click", () => {
 });
 
 saveSettingsBtn?.addEventListener("click", () => {
+  const providerSettings = readProviderSettings();
+  // Must be requested while the click's user gesture is still active
+  requestProviderHostPermission(providerSettings).then((granted) => {
+    if (!granted) {
+      setStatus("Host access for the provider endpoint was not granted.", true);
+    }
+  });
+  visionProvider = providerSettings;
+  chrome.storage.local.set({ visionProvider: providerSettings });
+
+  const limits = readLimitInputs();
+  renderLimitInputs(limits);
+  chrome.storage.local.set({ geminiLimits: limits });
+
+  if (!lykdatManagedByConfig && lykdatKeyInput) {
+    lykdatApiKey = lykdatKeyInput.value.trim();
+    if (lykdatApiKey) {
+      chrome.storage.local.set({ lykdatApiKey });
+    } else {
+      chrome.storage.local.remove("lykdatApiKey");
+    }
+  }
+
+  if (configKey) {
+    // Key is managed by config.js, only the quota settings are editable
+    setStatus("Settings saved.");
+    setTimeout(() => setStatus(""), 2000);
+    settingsModal.classList.remove("active");
+    return;
+  }
+
   const key = apiKeyInput.value.trim();
   if (key) {
     chrome.storage.local.set({ geminiApiKey: key }, () => {
@@ -334,12 +1239,121 @@ saveSettingsBtn?.addEventListener("click", () => {
   }
 });
 
+// --- Export Progress Panel ---
+const exportPanel = document.getElementById("export-panel");
+const exportPanelTitle = document.getElementById("export-panel-title");
+const exportPanelStatus = document.getElementById("export-panel-status");
+const exportPanelDetail = document.getElementById("export-panel-detail");
+const exportProgressFill = document.getElementById("export-progress-fill");
+const exportPanelControls = {
+  pause: document.querySelector('[data-export-control="pause"]'),
+  resume: document.querySelector('[data-export-control="resume"]'),
+  cancel: document.querySelector('[data-export-control="cancel"]'),
+  partial: document.querySelector('[data-export-control="partial"]'),
+  dismiss: document.querySelector('[data-export-control="dismiss"]'),
+};
+
+let trackedJob = null; // Summary of the export job shown in the panel
+
+const setControlVisible = (button, visible) => {
+  if (button) button.style.display = visible ? "" : "none";
+};
+
+const renderExportPanel = () => {
+  if (!exportPanel) return;
+
+  if (!trackedJob || trackedJob.dismissed) {
+    exportPanel.classList.remove("active");
+    return;
+  }
+
+  const { status, total, completed, exportable, boardName, error } = trackedJob;
+  const percent = total ? Math.round((completed / total) * 100) : 0;
+
+  exportPanel.classList.add("active");
+  exportPanelTitle.textContent = `Export: ${boardName}`;
+  exportPanelStatus.textContent = status;
+  exportProgressFill.style.width = `${percent}%`;
+
+  let detail = `${completed} of ${total} items processed (${percent}%).`;
+  if (status === JOB_STATUS.QUEUED) detail = `Waiting for another export to finish. ${detail}`;
+  if (status === JOB_STATUS.DONE) detail = `Finished. ${exportable} items exported.`;
+  if (status === JOB_STATUS.FAILED && error) detail = `Failed: ${error}`;
+  exportPanelDetail.textContent = detail;
+
+  const isActive = status === JOB_STATUS.QUEUED || status === JOB_STATUS.RUNNING;
+  setControlVisible(exportPanelControls.pause, isActive);
+  setControlVisible(exportPanelControls.resume, status === JOB_STATUS.PAUSED || status === JOB_STATUS.FAILED);
+  setControlVisible(exportPanelControls.cancel, isActive || status === JOB_STATUS.PAUSED);
+  setControlVisible(exportPanelControls.partial, status !== JOB_STATUS.DONE && exportable > 0);
+  setControlVisible(exportPanelControls.dismiss, isFinishedStatus(status));
+};
+
+// Picks the job to show when the popup opens: the newest one the user hasn't dismissed
+const pickTrackedJob = (jobs = []) => {
+  const visible = jobs.filter((job) => !job.dismissed);
+  return visible.length ? visible[visible.length - 1] : null;
+};
+
+const refreshExportStatus = () => {
+  chrome.runtime.sendMessage({ action: "GET_EXPORT_STATUS" }, (response) => {
+    if (chrome.runtime.lastError || !response?.jobs) return;
+    trackedJob = pickTrackedJob(response.jobs);
+    renderExportPanel();
+  });
+};
+
+const sendExportControl = (action) => {
+  if (!trackedJob) return;
+
+  chrome.runtime.sendMessage({ action, jobId: trackedJob.id }, (response) => {
+    if (chrome.runtime.lastError) {
+      setStatus("Could not reach the background export.", true);
+      return;
+    }
+    if (response?.status === "error") {
+      setStatus(response.error, true);
+      return;
+    }
+    if (response?.job) {
+      trackedJob = response.job;
+    }
+    if (action === "DISMISS_EXPORT") {
+      trackedJob = null;
+    }
+    if (action === "EXPORT_PARTIAL") {
+      setStatus(`Exported ${trackedJob.exportable} processed items.`);
+    }
+    renderExportPanel();
+  });
+};
+
+exportPanelControls.pause?.addEventListener("click", () => sendExportControl("PAUSE_EXPORT"));
+exportPanelControls.resume?.addEventListener("click", () => sendExportControl("RESUME_EXPORT"));
+exportPanelControls.cancel?.addEventListener("click", () => sendExportControl("CANCEL_EXPORT"));
+exportPanelControls.partial?.addEventListener("click", () => sendExportControl("EXPORT_PARTIAL"));
+exportPanelControls.dismiss?.addEventListener("click", () => sendExportControl("DISMISS_EXPORT"));
+
+// Live updates: the background checkpoints every pin into storage
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes.exportJobs) return;
+
+  const jobs = Object.values(changes.exportJobs.newValue || {})
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(summarizeExportJob);
+  const current = trackedJob && jobs.find((job) => job.id === trackedJob.id);
+  trackedJob = current && !current.dismissed ? current : pickTrackedJob(jobs);
+  renderExportPanel();
+});
 
 const handleConfirmExport = async () => {
-  const selected = getSelectedPins();
+  const { pins: selected, boardName, boardUrl, boardPinKeys } = getExportSource();
+  const incremental = !pendingRerun && incrementalRow?.style.display !== "none" && !!incrementalInput?.checked;
   const gender = genderSelect.value;
   const itemType = itemTypeSelect.value;
   const brands = brandsSelect.value;
+  const format = formatSelect?.value || "html";
+  const embedImages = !!embedImagesInput?.checked && EMBED_IMAGE_FORMATS.includes(format);
 
   hideExportModal();
 
@@ -348,7 +1362,7 @@ const handleConfirmExport = async () => {
     return;
   }
 
-  const lykdatKey = (typeof CONFIG !== 'undefined' && CONFIG.LYKDAT_API_KEY) ? CONFIG.LYKDAT_API_KEY : '';
+  const lykdatKey = lykdatApiKey;
 
   setStatus('Starting background export...');
 
@@ -359,17 +1373,308 @@ const handleConfirmExport = async () => {
       gender,
       itemType,
       brands,
+      format,
+      embedImages,
       geminiApiKey,
       lykdatKey,
-      boardName: state.boardName
+      provider: getProviderPayload(),
+      boardName,
+      boardUrl,
+      boardPinKeys,
+      incremental
     }
   }, (response) => {
+    if (chrome.runtime.lastError || response?.status === "error") {
+      setStatus(response?.error || "Failed to start the background export.", true);
+      toggleButtonsDisabled(exportButtons, false);
+      return;
+    }
     setStatus('Export running in background for ' + selected.length + ' items. You can now close this window!');
     toggleButtonsDisabled(exportButtons, false);
+    refreshExportStatus();
+  });
+};
+
+// --- Export History ---
+const historyBtn = document.getElementById("history-btn");
+const historyModal = document.getElementById("history-modal");
+const historyList = document.getElementById("history-list");
+const closeHistoryBtn = document.getElementById("close-history");
+
+const formatRunMeta = (run) => {
+  const preferences = [run.preferences.gender, run.preferences.itemType, run.preferences.brands].filter(Boolean).join(" · ");
+  return [
+    new Date(run.createdAt).toLocaleString(),
+    `${run.matchedCount} of ${run.pinCount} pins matched`,
+    preferences,
+  ].filter(Boolean).join(" — ");
+};
+
+const renderHistoryEntry = (run) => {
+  const entry = document.createElement("div");
+  entry.className = "history-entry";
+
+  const title = document.createElement("div");
+  title.className = "history-entry-title";
+  title.textContent = run.boardName;
+  title.title = run.boardUrl || run.boardName;
+
+  const meta = document.createElement("div");
+  meta.className = "history-entry-meta";
+  meta.textContent = formatRunMeta(run);
+
+  const actions = document.createElement("div");
+  actions.className = "history-entry-actions";
+
+  // Same choices as the export modal, defaulting to the format the run was exported in
+  const formatChoice = formatSelect.cloneNode(true);
+  formatChoice.removeAttribute("id");
+  formatChoice.className = "form-select";
+  formatChoice.value = run.format;
+
+  const makeButton = (label, onClick) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "text-button";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  };
+
+  actions.append(
+    formatChoice,
+    makeButton("Download", () => {
+      chrome.runtime.sendMessage({
+        action: "REDOWNLOAD_EXPORT",
+        historyId: run.id,
+        format: formatChoice.value,
+        embedImages: EMBED_IMAGE_FORMATS.includes(formatChoice.value) && !!embedImagesInput?.checked,
+      }, (response) => {
+        if (chrome.runtime.lastError || response?.status === "error") {
+          setStatus(response?.error || "Failed to re-download the export.", true);
+        }
+      });
+    }),
+    makeButton("Re-run", async () => {
+      const fullRun = await getExportRun(run.id);
+      if (!fullRun) {
+        setStatus("Export not found in history.", true);
+        return;
+      }
+      historyModal.classList.remove("active");
+      pendingRerun = fullRun;
+      showExportModal();
+    }),
+    makeButton("Delete", () => {
+      deleteExportRun(run.id)
+        .then(renderHistory)
+        .catch((err) => setStatus(`Failed to delete: ${err.message}`, true));
+    })
+  );
+
+  entry.append(title, meta, actions);
+  return entry;
+};
+
+const renderHistory = async () => {
+  if (!historyList) return;
+
+  let runs = [];
+  try {
+    runs = await listExportHistory();
+  } catch (err) {
+    setStatus(`Failed to load history: ${err.message}`, true);
+  }
+
+  historyList.textContent = "";
+  if (!runs.length) {
+    const empty = document.createElement("p");
+    empty.style.color = "var(--text-secondary)";
+    empty.textContent = "No finished exports yet.";
+    historyList.appendChild(empty);
+    return;
+  }
+  runs.forEach((run) => historyList.appendChild(renderHistoryEntry(run)));
+};
+
+historyBtn?.addEventListener("click", () => {
+  historyModal.classList.add("active");
+  renderHistory();
+});
+
+closeHistoryBtn?.addEventListener("click", () => {
+  historyModal.classList.remove("active");
+});
+
+// --- Followed Boards ---
+const followBtn = document.getElementById("follow-btn");
+const followModal = document.getElementById("follow-modal");
+const followList = document.getElementById("follow-list");
+const followEnabledInput = document.getElementById("follow-enabled-input");
+const followPerCheckInput = document.getElementById("follow-per-check-input");
+const followDailyBudgetInput = document.getElementById("follow-daily-budget-input");
+const followIntervalSelect = document.getElementById("follow-interval-select");
+const followCurrentBtn = document.getElementById("follow-current-btn");
+const followCurrentHint = document.getElementById("follow-current-hint");
+const closeFollowBtn = document.getElementById("close-follow");
+
+const formatInterval = (hours) => (hours % 24 === 0 ? `Every ${hours / 24 === 1 ? "day" : `${hours / 24} days`}` : `Every ${hours}h`);
+
+const fillIntervalSelect = (select, selectedHours) => {
+  select.textContent = "";
+  FOLLOW_INTERVAL_OPTIONS.forEach((hours) => {
+    const option = document.createElement("option");
+    option.value = String(hours);
+    option.textContent = formatInterval(hours);
+    select.appendChild(option);
+  });
+  select.value = String(selectedHours);
+};
+
+const formatFollowMeta = (board) => {
+  const checked = board.lastCheckedAt ? `Last checked ${new Date(board.lastCheckedAt).toLocaleString()}` : null;
+  return [checked, board.lastError ? `Error: ${board.lastError}` : board.lastResult].filter(Boolean).join(" — ");
+};
+
+const renderFollowEntry = (board) => {
+  const entry = document.createElement("div");
+  entry.className = "history-entry";
+
+  const title = document.createElement("div");
+  title.className = "history-entry-title";
+  title.textContent = board.boardName;
+  title.title = board.boardUrl;
+
+  const meta = document.createElement("div");
+  meta.className = "history-entry-meta";
+  meta.textContent = formatFollowMeta(board);
+
+  const actions = document.createElement("div");
+  actions.className = "history-entry-actions";
+
+  const interval = document.createElement("select");
+  interval.className = "form-select";
+  fillIntervalSelect(interval, board.intervalHours);
+  interval.addEventListener("change", () => {
+    sendFollowMessage({ action: "UPDATE_FOLLOWED_BOARD", boardUrl: board.boardUrl, patch: { intervalHours: Number(interval.value) } })
+      .catch((err) => setStatus(`Failed to change the interval: ${err.message}`, true));
+  });
+
+  const checkNow = document.createElement("button");
+  checkNow.type = "button";
+  checkNow.className = "text-button";
+  checkNow.textContent = "Check now";
+  checkNow.addEventListener("click", () => {
+    checkNow.disabled = true;
+    checkNow.textContent = "Checking...";
+    chrome.runtime.sendMessage({ action: "CHECK_FOLLOWED_BOARD", boardUrl: board.boardUrl }, (response) => {
+      if (chrome.runtime.lastError || response?.status === "error") {
+        setStatus(response?.error || "Failed to check the board.", true);
+      }
+      renderFollowedBoards();
+    });
   });
+
+  const unfollow = document.createElement("button");
+  unfollow.type = "button";
+  unfollow.className = "text-button";
+  unfollow.textContent = "Unfollow";
+  unfollow.addEventListener("click", () => {
+    sendFollowMessage({ action: "UNFOLLOW_BOARD", boardUrl: board.boardUrl })
+      .then(renderFollowedBoards)
+      .catch((err) => setStatus(`Failed to unfollow: ${err.message}`, true));
+  });
+
+  actions.append(interval, checkNow, unfollow);
+  entry.append(title, meta, actions);
+  return entry;
+};
+
+// Followed boards are written by the background only (see utils/follows.js)
+const sendFollowMessage = (message) => new Promise((resolve, reject) => {
+  chrome.runtime.sendMessage(message, (response) => {
+    if (chrome.runtime.lastError) {
+      reject(new Error(chrome.runtime.lastError.message));
+    } else if (response?.status === "error") {
+      reject(new Error(response.error));
+    } else {
+      resolve(response);
+    }
+  });
+});
+
+const renderFollowedBoards = async () => {
+  const [settings, boards] = await Promise.all([loadFollowSettings(), listFollowedBoards()]);
+
+  followEnabledInput.checked = settings.enabled;
+  followPerCheckInput.value = settings.maxNewPinsPerCheck;
+  followDailyBudgetInput.value = settings.dailyPinBudget;
+
+  const current = boards.find((board) => board.boardUrl === state.boardUrl);
+  fillIntervalSelect(followIntervalSelect, current?.intervalHours || DEFAULT_FOLLOW_INTERVAL_HOURS);
+  followCurrentBtn.disabled = !state.boardUrl || !state.pins.length || !!current;
+  followCurrentHint.textContent = !state.pins.length
+    ? "Extract pins from a board to follow it."
+    : current ? `Following "${state.boardName}".` : `Pins already on "${state.boardName}" won't be re-analyzed.`;
+
+  followList.textContent = "";
+  if (!boards.length) {
+    const empty = document.createElement("p");
+    empty.style.color = "var(--text-secondary)";
+    empty.textContent = "No followed boards yet.";
+    followList.appendChild(empty);
+    return;
+  }
+  boards.forEach((board) => followList.appendChild(renderFollowEntry(board)));
 };
 
+const readFollowNumber = (input, fallback) => {
+  const value = parseInt(input.value, 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+followEnabledInput?.addEventListener("change", () => {
+  saveFollowSettings({ enabled: followEnabledInput.checked });
+});
+
+followPerCheckInput?.addEventListener("change", () => {
+  saveFollowSettings({ maxNewPinsPerCheck: readFollowNumber(followPerCheckInput, DEFAULT_FOLLOW_SETTINGS.maxNewPinsPerCheck) })
+    .then(renderFollowedBoards);
+});
+
+followDailyBudgetInput?.addEventListener("change", () => {
+  saveFollowSettings({ dailyPinBudget: readFollowNumber(followDailyBudgetInput, DEFAULT_FOLLOW_SETTINGS.dailyPinBudget) })
+    .then(renderFollowedBoards);
+});
+
+followCurrentBtn?.addEventListener("click", () => {
+  sendFollowMessage({
+    action: "FOLLOW_BOARD",
+    board: {
+      boardUrl: state.boardUrl,
+      boardName: state.boardName,
+      intervalHours: Number(followIntervalSelect.value),
+      seenPinKeys: state.pins.map(getPinKey),
+    },
+  })
+    .then(() => {
+      setStatus(`Following "${state.boardName}".`);
+      renderFollowedBoards();
+    })
+    .catch((err) => setStatus(`Failed to follow: ${err.message}`, true));
+});
+
+followBtn?.addEventListener("click", () => {
+  followModal.classList.add("active");
+  renderFollowedBoards();
+});
+
+closeFollowBtn?.addEventListener("click", () => {
+  followModal.classList.remove("active");
+});
+
 const requestPinsFromActiveTab = () => {
+  hideResumePrompt();
   setStatus("Refreshing page to ensure clean state...");
   toggleButtonsDisabled(refreshButtons, true);
   toggleButtonsDisabled(exportButtons, true);
@@ -378,8 +1683,10 @@ const requestPinsFromActiveTab = () => {
   state.selections.clear();
   state.activePinIndex = 0;
   state.boardName = "Pinterest";
-  actionHistory.length = 0;
-  renderCurrentPin();
+  state.boardUrl = null;
+  resetReviewFilters();
+  clearReviewHistory();
+  renderReview();
   updateDecisionButtonsState();
 
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -426,11 +1733,13 @@ const requestPinsFromActiveTab = () => {
 
               state.pins = response.pins || [];
               state.boardName = response.boardName || "Pinterest";
+              state.boardUrl = response.boardUrl || tab.url || null;
 
               state.pins.forEach(p => state.selections.set(getPinKey(p), true));
 
               state.activePinIndex = 0;
-              renderCurrentPin();
+              renderReview();
+              renderReviewHistory();
               setStatus("");
               renderStatus();
               updateExportState();
@@ -445,6 +1754,154 @@ const requestPinsFromActiveTab = () => {
   });
 };
 
+// --- Keyboard Shortcuts & Command Palette ---
+const paletteBtn = document.getElementById("palette-btn");
+const commandPalette = document.getElementById("command-palette");
+const commandInput = document.getElementById("command-input");
+const commandList = document.getElementById("command-list");
+const closePaletteBtn = document.getElementById("close-palette");
+
+const isCardReviewActive = () =>
+  state.viewMode === "card" && state.pins.length > 0 && state.activePinIndex < state.pins.length;
+
+const focusReviewSearch = () => {
+  reviewSearchInput?.focus();
+  reviewSearchInput?.select();
+};
+
+// Every action reachable from the keyboard; the palette lists them in this order
+const COMMANDS = [
+  { id: "keep", label: "Keep pin", keys: ["K", "→"], isEnabled: isCardReviewActive, run: () => commitCardDecision(true) },
+  { id: "skip", label: "Skip pin", keys: ["J", "←"], isEnabled: isCardReviewActive, run: () => commitCardDecision(false) },
+  { id: "back", label: "Back to previous pin", keys: ["↑"], isEnabled: () => state.viewMode === "card" && state.activePinIndex > 0, run: goToPreviousPin },
+  { id: "undo", label: "Undo", keys: ["Z"], isEnabled: () => reviewHistory.position > 0, run: undoLastAction },
+  { id: "redo", label: "Redo", keys: ["Shift+Z", "Y"], isEnabled: () => reviewHistory.position < reviewHistory.entries.length, run: redoLastAction },
+  { id: "toggle-view", label: "Toggle grid / card view", keys: ["G"], isEnabled: () => true, run: () => setViewMode(state.viewMode === "grid" ? "card" : "grid") },
+  { id: "export", label: "Export selected pins", keys: ["E"], isEnabled: () => getSelectedPins().length > 0, run: showExportModal },
+  { id: "filter", label: "Search pins", keys: ["/"], isEnabled: () => state.pins.length > 0, run: focusReviewSearch },
+  { id: "extract", label: "Extract pins from this board", keys: [], isEnabled: () => !refreshButtons.some((button) => button.disabled), run: requestPinsFromActiveTab },
+  { id: "palette", label: "Show commands", keys: ["?"], isEnabled: () => true, run: () => openCommandPalette() },
+];
+
+const KEY_BINDINGS = {
+  k: "keep",
+  ArrowRight: "keep",
+  j: "skip",
+  ArrowLeft: "skip",
+  ArrowUp: "back",
+  z: "undo",
+  y: "redo",
+  g: "toggle-view",
+  e: "export",
+  "/": "filter",
+  "?": "palette",
+};
+
+const runCommand = (id) => {
+  const command = COMMANDS.find((entry) => entry.id === id);
+  if (command && command.isEnabled()) command.run();
+};
+
+let paletteActiveIndex = 0;
+
+const getPaletteMatches = () => {
+  const query = commandInput.value.trim().toLowerCase();
+  return COMMANDS.filter((command) => command.id !== "palette" && command.label.toLowerCase().includes(query));
+};
+
+const renderCommandPalette = () => {
+  const matches = getPaletteMatches();
+  paletteActiveIndex = Math.min(paletteActiveIndex, Math.max(matches.length - 1, 0));
+  commandList.textContent = "";
+
+  matches.forEach((command, index) => {
+    const item = document.createElement("li");
+    item.className = "command-item";
+    item.classList.toggle("active", index === paletteActiveIndex);
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-disabled", String(!command.isEnabled()));
+
+    const label = document.createElement("span");
+    label.textContent = command.label;
+
+    const keys = document.createElement("span");
+    keys.className = "command-keys";
+    command.keys.forEach((key) => {
+      const kbd = document.createElement("kbd");
+      kbd.textContent = key;
+      keys.appendChild(kbd);
+    });
+
+    item.append(label, keys);
+    item.addEventListener("click", () => runPaletteCommand(command));
+    commandList.appendChild(item);
+  });
+};
+
+const openCommandPalette = () => {
+  commandInput.value = "";
+  paletteActiveIndex = 0;
+  renderCommandPalette();
+  commandPalette.classList.add("active");
+  commandInput.focus();
+};
+
+const closeCommandPalette = () => {
+  commandPalette.classList.remove("active");
+};
+
+const runPaletteCommand = (command) => {
+  if (!command || !command.isEnabled()) return;
+  closeCommandPalette();
+  command.run();
+};
+
+commandInput?.addEventListener("input", () => {
+  paletteActiveIndex = 0;
+  renderCommandPalette();
+});
+
+commandInput?.addEventListener("keydown", (event) => {
+  const matches = getPaletteMatches();
+  if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+    event.preventDefault();
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    paletteActiveIndex = (paletteActiveIndex + step + matches.length) % Math.max(matches.length, 1);
+    renderCommandPalette();
+  } else if (event.key === "Enter") {
+    event.preventDefault();
+    runPaletteCommand(matches[paletteActiveIndex]);
+  }
+});
+
+paletteBtn?.addEventListener("click", openCommandPalette);
+closePaletteBtn?.addEventListener("click", closeCommandPalette);
+
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement && (target.isContentEditable || ["INPUT", "SELECT", "TEXTAREA"].includes(target.tagName));
+
+document.addEventListener("keydown", (event) => {
+  if (event.key === "Escape") {
+    if (commandPalette.classList.contains("active")) {
+      closeCommandPalette();
+    } else if (document.activeElement === reviewSearchInput) {
+      reviewSearchInput.blur();
+    }
+    return;
+  }
+
+  // Shortcuts stay out of the way of typing, modifier combos and open dialogs
+  if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) return;
+  if (document.querySelector(".modal-overlay.active")) return;
+
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  const commandId = event.shiftKey && key === "z" ? "redo" : KEY_BINDINGS[key];
+  if (!commandId) return;
+
+  event.preventDefault();
+  runCommand(commandId);
+});
+
 refreshButtons.forEach(btn => btn.addEventListener("click", requestPinsFromActiveTab));
 // Change: Open modal instead of direct export
 exportButtons.forEach(btn => btn.addEventListener("click", showExportModal));
@@ -455,7 +1912,29 @@ cancelExportBtn?.addEventListener("click", hideExportModal);
 decisionControls.approve?.addEventListener("click", () => commitCardDecision(true));
 decisionControls.reject?.addEventListener("click", () => commitCardDecision(false));
 decisionControls.undo?.addEventListener("click", undoLastAction);
+decisionControls.redo?.addEventListener("click", redoLastAction);
 
 // Init
 renderCurrentPin();
 updateDecisionButtonsState();
+refreshExportStatus();
+
+// The "Extract pins" keyboard command opens the popup with this flag set; otherwise offer the board's saved review
+chrome.storage.local.get([PENDING_EXTRACTION_KEY], (result) => {
+  const requestedAt = result[PENDING_EXTRACTION_KEY];
+  if (requestedAt) {
+    chrome.storage.local.remove(PENDING_EXTRACTION_KEY);
+    if (Date.now() - requestedAt < PENDING_EXTRACTION_TTL_MS) {
+      requestPinsFromActiveTab();
+      return;
+    }
+  }
+
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    loadReviewSession(toBoardUrl(tab?.url))
+      .then((session) => {
+        if (session && !state.pins.length) showResumePrompt(session);
+      })
+      .catch((err) => console.warn("Failed to load the review session", err));
+  });
+});
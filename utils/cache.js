@@ -0,0 +1,117 @@
+/**
+ * Content-addressed cache of Gemini analysis results, stored in IndexedDB.
+ * Entries are keyed by a hash of the image bytes plus the prompt variant and preference string,
+ * so re-exporting the same board with the same settings never re-bills Gemini.
+ */
+const ANALYSIS_CACHE_STORE = "analysisCache";
+const ANALYSIS_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const ANALYSIS_CACHE_MAX_ENTRIES = 2000;
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, "0"))
+        .join("");
+}
+
+/**
+ * Builds the cache key for an analysis request.
+ * @param {string} base64Data The resized JPEG sent to Gemini
+ * @param {string} promptVariant Identifies the prompt (and its version) used for the analysis
+ * @param {string} [preferences]
+ * @returns {Promise<string>}
+ */
+async function buildAnalysisCacheKey(base64Data, promptVariant, preferences = "") {
+    const imageHash = await sha256Hex(base64Data);
+    const settingsHash = await sha256Hex(`${promptVariant}\n${preferences}`);
+    return `${imageHash}:${settingsHash}`;
+}
+
+/**
+ * Looks up a cached analysis. Expired entries are removed on read.
+ * @param {string} key
+ * @returns {Promise<Array|null>} The cached item array, or null on a miss.
+ */
+async function getCachedAnalysis(key) {
+    try {
+        return await withObjectStore(ANALYSIS_CACHE_STORE, "readwrite", async (store) => {
+            const entry = await promisifyRequest(store.get(key));
+            if (!entry) return null;
+
+            if (Date.now() - entry.createdAt > ANALYSIS_CACHE_TTL_MS) {
+                store.delete(key);
+                return null;
+            }
+
+            entry.lastAccessed = Date.now();
+            store.put(entry);
+            return entry.items;
+        });
+    } catch (err) {
+        console.warn("Analysis cache read failed", err);
+        return null;
+    }
+}
+
+/**
+ * Stores an analysis result and evicts the least recently used entries beyond the size cap.
+ * @param {string} key
+ * @param {Array} items
+ */
+async function putCachedAnalysis(key, items) {
+    if (!Array.isArray(items) || !items.length) return;
+
+    try {
+        await withObjectStore(ANALYSIS_CACHE_STORE, "readwrite", async (store) => {
+            const now = Date.now();
+            store.put({ key, items, createdAt: now, lastAccessed: now });
+
+            const count = await promisifyRequest(store.count());
+            let excess = count - ANALYSIS_CACHE_MAX_ENTRIES;
+            if (excess <= 0) return;
+
+            // Walk the LRU index from the oldest entry and delete until we're back under the cap
+            await new Promise((resolve, reject) => {
+                const cursorRequest = store.index("lastAccessed").openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || excess <= 0) {
+                        resolve();
+                        return;
+                    }
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            });
+        });
+    } catch (err) {
+        console.warn("Analysis cache write failed", err);
+    }
+}
+
+/**
+ * @returns {Promise<number>} Number of cached analyses
+ */
+function countAnalysisCache() {
+    return withObjectStore(ANALYSIS_CACHE_STORE, "readonly", (store) => promisifyRequest(store.count()));
+}
+
+/**
+ * Removes every cached analysis.
+ */
+function clearAnalysisCache() {
+    return withObjectStore(ANALYSIS_CACHE_STORE, "readwrite", (store) => promisifyRequest(store.clear()));
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.buildAnalysisCacheKey = buildAnalysisCacheKey;
+globalScope.getCachedAnalysis = getCachedAnalysis;
+globalScope.putCachedAnalysis = putCachedAnalysis;
+globalScope.countAnalysisCache = countAnalysisCache;
+globalScope.clearAnalysisCache = clearAnalysisCache;
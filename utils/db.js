@@ -0,0 +1,105 @@
+/**
+ * Shared IndexedDB access for the extension.
+ * The popup and the service worker share the extension origin, so both see the same database.
+ */
+const DB_NAME = "pinterestHelper";
+const DB_VERSION = 5;
+
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades, if needed) the extension database. The connection is reused.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (event.oldVersion < 1) {
+                const cache = db.createObjectStore("analysisCache", { keyPath: "key" });
+                cache.createIndex("lastAccessed", "lastAccessed");
+            }
+            if (event.oldVersion < 2) {
+                const history = db.createObjectStore("exportHistory", { keyPath: "id" });
+                history.createIndex("createdAt", "createdAt");
+                history.createIndex("boardUrl", "boardUrl");
+            }
+            if (event.oldVersion < 3) {
+                // Export files waiting for the offscreen document to turn them into blob: URLs
+                db.createObjectStore("pendingDownloads", { keyPath: "id" });
+            }
+            if (event.oldVersion < 4) {
+                const images = db.createObjectStore("pinImages", { keyPath: "imageUrl" });
+                images.createIndex("storedAt", "storedAt");
+            }
+            if (event.oldVersion < 5) {
+                // Export job payloads; chrome.storage only keeps each job's status and counters
+                db.createObjectStore("exportJobPayloads", { keyPath: "jobId" });
+                const results = db.createObjectStore("exportJobResults", { keyPath: ["jobId", "index"] });
+                results.createIndex("jobId", "jobId");
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer version of the extension upgrade the schema
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs `callback` inside a transaction on a single store and resolves once the transaction commits.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => any} callback Its (awaited) return value is passed through.
+ * @returns {Promise<any>}
+ */
+async function withObjectStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+
+        Promise.resolve(callback(tx.objectStore(storeName)))
+            .then((value) => { result = value; })
+            .catch((err) => {
+                tx.abort();
+                reject(err);
+            });
+    });
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.openDatabase = openDatabase;
+globalScope.promisifyRequest = promisifyRequest;
+globalScope.withObjectStore = withObjectStore;
@@ -0,0 +1,84 @@
+/**
+ * Saves generated export files through chrome.downloads using blob: URLs.
+ * data: URLs hold the whole file as a base64 string and fall over for multi-megabyte reports and archives.
+ * Service workers can't create blob: URLs, so the worker parks the Blob in IndexedDB and the offscreen
+ * document (offscreen.html) turns it into a URL.
+ */
+const PENDING_DOWNLOADS_STORE = "pendingDownloads";
+const OFFSCREEN_DOCUMENT_PATH = "offscreen.html";
+
+let offscreenDocumentPromise = null;
+
+async function ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+
+    if (!offscreenDocumentPromise) {
+        offscreenDocumentPromise = chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT_PATH,
+            reasons: [chrome.offscreen.Reason.BLOBS],
+            justification: "Create blob: URLs for export downloads"
+        }).finally(() => {
+            offscreenDocumentPromise = null;
+        });
+    }
+    await offscreenDocumentPromise;
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>} A blob: URL chrome.downloads can read
+ */
+async function createDownloadUrl(blob) {
+    if (typeof URL.createObjectURL === "function") return URL.createObjectURL(blob);
+
+    const id = crypto.randomUUID();
+    await withObjectStore(PENDING_DOWNLOADS_STORE, "readwrite", (store) => promisifyRequest(store.put({ id, blob })));
+    try {
+        await ensureOffscreenDocument();
+        const response = await chrome.runtime.sendMessage({ target: "offscreen", action: "CREATE_BLOB_URL", id });
+        if (!response?.url) throw new Error(response?.error || "Could not prepare the download.");
+        return response.url;
+    } finally {
+        // The blob: URL keeps the data alive in the offscreen document from here on
+        await withObjectStore(PENDING_DOWNLOADS_STORE, "readwrite", (store) => promisifyRequest(store.delete(id)));
+    }
+}
+
+function revokeDownloadUrl(url) {
+    if (typeof URL.revokeObjectURL === "function") {
+        URL.revokeObjectURL(url);
+    } else {
+        chrome.runtime.sendMessage({ target: "offscreen", action: "REVOKE_BLOB_URL", url }).catch(() => { });
+    }
+}
+
+/**
+ * Saves a Blob to the downloads folder.
+ * @param {Blob} blob
+ * @param {string} filename
+ * @returns {Promise<number>} The download id
+ */
+async function saveBlobDownload(blob, filename) {
+    const url = await createDownloadUrl(blob);
+
+    let downloadId;
+    try {
+        downloadId = await chrome.downloads.download({ url, filename, saveAs: false });
+    } catch (err) {
+        revokeDownloadUrl(url);
+        throw new Error(`Failed to save file: ${err.message}`);
+    }
+
+    // The URL has to stay valid until Chrome has finished writing the file
+    const onChanged = (delta) => {
+        if (delta.id !== downloadId || !delta.state || delta.state.current === "in_progress") return;
+        chrome.downloads.onChanged.removeListener(onChanged);
+        revokeDownloadUrl(url);
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+    return downloadId;
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.PENDING_DOWNLOADS_STORE = PENDING_DOWNLOADS_STORE;
+globalScope.saveBlobDownload = saveBlobDownload;
@@ -3,7 +3,9 @@ function sanitizeValue(value) {
     return "";
   }
 
-  const text = String(value).replace(/"/g, '""');
+  // Nested values (arrays, objects) are written as JSON rather than "[object Object]"
+  const raw = typeof value === "object" ? JSON.stringify(value) : value;
+  const text = String(raw).replace(/"/g, '""');
   return `"${text}"`;
 }
 
@@ -34,55 +36,28 @@ function buildCSV(data = []) {
   return [headerRow, ...rows].join("\n");
 }
 
-function triggerDownload(content, filename = "pinterest_export.csv", mimeType = "text/csv") {
-  if (typeof chrome !== 'undefined' && chrome.downloads) {
-    try {
-      const utf8Bytes = new TextEncoder().encode(content);
-      let binary = '';
-      const chunkSize = 8192;
-      for (let i = 0; i < utf8Bytes.length; i += chunkSize) {
-        binary += String.fromCharCode.apply(null, utf8Bytes.subarray(i, i + chunkSize));
-      }
-      const b64 = globalScope.btoa(binary);
-      const dataUrl = `data:${mimeType};base64,${b64}`;
-
-      chrome.downloads.download({
-        url: dataUrl,
-        filename: filename,
-        saveAs: false
-      }, (downloadId) => {
-        if (chrome.runtime.lastError) {
-          console.error("chrome.downloads error: ", chrome.runtime.lastError.message);
-          if (chrome.notifications) {
-            chrome.notifications.create({
-              type: "basic",
-              iconUrl: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==",
-              title: "Export Error",
-              message: "Failed to save file: " + chrome.runtime.lastError.message
-            });
-          }
-        } else {
-          console.log("Download successfully triggered, ID:", downloadId);
-        }
-      });
-    } catch (err) {
-      console.error("triggerDownload error:", err);
-    }
-  } else {
-    // Fallback for DOM environments (popup.js)
-    const blob = new Blob([content], { type: mimeType });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+// Accepts text (written as UTF-8) or binary content (Uint8Array/ArrayBuffer) for XLSX, PDF and ZIP files.
+// Downloads go through blob: URLs (see utils/downloads.js); rejects if the file could not be saved.
+async function triggerDownload(content, filename = "pinterest_export.csv", mimeType = "text/csv") {
+  const blob = new Blob([content], { type: mimeType });
+  if (typeof chrome !== 'undefined' && chrome.downloads && globalScope.saveBlobDownload) {
+    await globalScope.saveBlobDownload(blob, filename);
+    console.log("Download successfully triggered:", filename);
+    return;
   }
+
+  // Fallback for DOM environments (popup.js)
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
 }
 
-function exportToCSV(arrayOfObjects = []) {
+function exportToCSV(arrayOfObjects = [], filename = "pinterest_export.csv") {
   if (!Array.isArray(arrayOfObjects) || !arrayOfObjects.length) {
     console.warn("exportToCSV called with empty data.");
     return;
@@ -94,77 +69,1102 @@ function exportToCSV(arrayOfObjects = []) {
     return;
   }
 
-  triggerDownload(csv, "pinterest_export.csv", "text/csv");
+  return triggerDownload(csv, filename, "text/csv");
 }
 
+const getExportFileBase = (boardName = "Pinterest") => boardName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
 
-function exportToHTML(data = [], boardName = "Pinterest", metadata = {}) {
+// Output formats offered in the export modal
+const EXPORT_FORMATS = ["html", "csv", "json", "markdown", "xlsx", "pdf", "pinterest", "archive"];
+
+// Bump when the JSON export changes incompatibly; see schemas/pinterest-export.v1.schema.json
+const EXPORT_SCHEMA_NAME = "pinterest-board-helper/export";
+const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Flattens a pin's shopping links into one record per detected item, pairing each with its preferred link.
+ * @param {Object} pin
+ * @returns {Object[]}
+ */
+const collectPinItems = (pin) => {
+  const preferredLinks = [...(pin.preferredLinks || [])];
+
+  return (pin.shoppingLinks || []).map((linkObj) => {
+    const visual = isVisualMatch(linkObj);
+    // Preferred links are derived from the same records, so the item name pairs them up
+    const preferredIndex = visual ? -1 : preferredLinks.findIndex((preferred) => preferred.item === linkObj.item);
+    const preferred = preferredIndex >= 0 ? preferredLinks.splice(preferredIndex, 1)[0] : null;
+
+    return {
+      name: linkObj.item,
+      source: visual ? "lykdat" : "analysis",
+      exactUrl: linkObj.url || null,
+      preferredUrl: preferred?.url || null,
+      box: linkObj.box || null,
+      // Visual matches only carry a brand, which is kept with the other attributes
+      attributes: linkObj.attributes || (linkObj.brand ? { brand: linkObj.brand } : null),
+      retailer: linkObj.retailer || null,
+      price: linkObj.price || null,
+      currency: linkObj.currency || null,
+      image: linkObj.image || null,
+      score: typeof linkObj.score === "number" ? linkObj.score : null,
+    };
+  });
+};
+
+// CSV/XLSX column -> item attribute key, in column order
+const ITEM_ATTRIBUTE_COLUMNS = [
+  ["category", "category"],
+  ["brand", "brand"],
+  ["color", "primaryColor"],
+  ["secondary_color", "secondaryColor"],
+  ["material", "material"],
+  ["pattern", "pattern"],
+  ["fit", "fit"],
+  ["gender", "gender"],
+  ["price_band", "priceBand"],
+  ["confidence", "confidence"],
+];
+
+const toAttributeColumns = (attributes) =>
+  Object.fromEntries(ITEM_ATTRIBUTE_COLUMNS.map(([column, key]) => [column, attributes?.[key] ?? ""]));
+
+/**
+ * Builds the CSV rows for an export: one row per detected item, or a single row for a pin with none.
+ * @param {Object[]} data Processed pins
+ * @returns {Object[]}
+ */
+function buildItemRows(data = []) {
+  return data.flatMap((pin) => {
+    const base = {
+      pin_link: pin.link || "",
+      pin_image: pin.imageUrl || "",
+      pin_title: pin.title || "",
+      // Set in "new since last export" runs, where removed pins are listed alongside current ones
+      sync_status: pin.syncStatus || "",
+    };
+    const provider = pin.analysis?.provider || pin.provider || "";
+    const items = collectPinItems(pin);
+
+    if (!items.length) {
+      return [{ ...base, item_name: "", exact_url: "", preferred_url: "", provider, source: "", ...toAttributeColumns(null) }];
+    }
+
+    return items.map((item) => ({
+      ...base,
+      item_name: item.name,
+      exact_url: item.exactUrl || "",
+      preferred_url: item.preferredUrl || "",
+      // Visual matches come from Lykdat regardless of which provider analyzed the pin
+      provider: item.source === "lykdat" ? "lykdat" : provider,
+      source: item.source,
+      ...toAttributeColumns(item.attributes),
+    }));
+  });
+}
+
+/**
+ * Builds the versioned JSON document described by schemas/pinterest-export.v1.schema.json.
+ * @param {Object[]} data Processed pins
+ * @param {string} boardName
+ * @param {Object} metadata Export preferences
+ * @returns {Object}
+ */
+function buildExportDocument(data = [], boardName = "Pinterest", metadata = {}) {
+  const sync = metadata.sync
+    ? {
+      since: new Date(metadata.sync.since).toISOString(),
+      newCount: metadata.sync.newCount,
+      unchangedCount: metadata.sync.unchangedCount,
+      removedCount: metadata.sync.removedCount,
+    }
+    : undefined;
+
+  return {
+    schema: EXPORT_SCHEMA_NAME,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    board: { name: boardName },
+    preferences: {
+      gender: metadata.gender || null,
+      itemType: metadata.itemType || null,
+      brands: metadata.brands || null,
+    },
+    sync,
+    pins: data.map((pin) => ({
+      link: pin.link || null,
+      title: pin.title || null,
+      description: pin.description || null,
+      imageUrl: pin.imageUrl || null,
+      videoUrl: pin.videoUrl || null,
+      summary: pin.lensResult || null,
+      provider: pin.analysis?.provider || pin.provider || null,
+      failedProviders: pin.analysis?.attempts || [],
+      cacheHit: !!pin.cacheHit,
+      syncStatus: pin.syncStatus || null,
+      items: collectPinItems(pin),
+    })),
+  };
+}
+
+function exportItemsToCSV(data = [], boardName = "Pinterest") {
+  return exportToCSV(buildItemRows(data), getExportFileBase(boardName) + "_items.csv");
+}
+
+function exportToJSON(data = [], boardName = "Pinterest", metadata = {}) {
   if (!Array.isArray(data) || !data.length) {
-    console.warn("exportToHTML called with empty data.");
+    console.warn("exportToJSON called with empty data.");
     return;
   }
 
-  // Define headers dynamically based on if preferences exist
-  const hasPreferences = !!(metadata.gender || metadata.itemType || metadata.brands);
-  const headers = ["Image", "Item Name", "Description"];
-  if (hasPreferences) {
-    headers.push("Preferred Matches");
+  const json = JSON.stringify(buildExportDocument(data, boardName, metadata), null, 2);
+  return triggerDownload(json, getExportFileBase(boardName) + "_export.json", "application/json");
+}
+
+// Column layout of Pinterest's bulk-create CSV upload, and the columns it rejects rows without
+const PINTEREST_CSV_COLUMNS = ["Title", "Media URL", "Pinterest board", "Thumbnail", "Description", "Link", "Publish date", "Keywords"];
+const PINTEREST_TITLE_MAX = 100;
+const PINTEREST_DESCRIPTION_MAX = 500;
+
+/**
+ * Maps pins to Pinterest bulk-create rows. Detected item names become the pin's keywords.
+ * @param {Object[]} data Pins (analyzed or not)
+ * @param {string} boardName Board the pins should be created on
+ * @returns {Object[]}
+ */
+function buildPinterestRows(data = [], boardName = "Pinterest") {
+  return data.map((pin) => {
+    // content.js falls back to "<Board> Pin" when it finds no title, which is not worth re-publishing
+    const title = pin.title && pin.title !== `${boardName} Pin` ? pin.title : "";
+    const keywords = [...new Set(collectPinItems(pin).map((item) => item.name).filter(Boolean))];
+
+    return {
+      "Title": title.slice(0, PINTEREST_TITLE_MAX),
+      "Media URL": pin.videoUrl || pin.imageUrl || "",
+      "Pinterest board": boardName,
+      // Video pins need a cover image
+      "Thumbnail": pin.videoUrl ? pin.imageUrl || "" : "",
+      "Description": (pin.description || "").slice(0, PINTEREST_DESCRIPTION_MAX),
+      "Link": pin.link || "",
+      "Publish date": "",
+      "Keywords": keywords.join(", "),
+    };
+  });
+}
+
+/**
+ * Flags rows the bulk-create upload would reject.
+ * @param {Object[]} rows From buildPinterestRows
+ * @returns {{flagged: Array<{index: number, problems: string[]}>}}
+ */
+function validatePinterestRows(rows = []) {
+  const flagged = [];
+  rows.forEach((row, index) => {
+    const problems = [];
+    if (!row["Title"]) problems.push("missing title");
+    if (!row["Media URL"]) problems.push("missing image");
+    if (row["Thumbnail"] === "" && /\.(mp4|webm|m3u8)(\?|$)/i.test(row["Media URL"])) problems.push("video without a cover image");
+    if (problems.length) flagged.push({ index, problems });
+  });
+
+  return { flagged };
+}
+
+/**
+ * Writes a Pinterest bulk-create CSV. Flagged rows (no image or title) are left out, since the upload would reject them.
+ * @param {Object[]} data Processed pins
+ * @param {string} boardName
+ * Throws if every row is flagged, so the job fails with the reason instead of finishing without a file.
+ * @returns {Promise<{exported: number, flagged: Array<{index: number, problems: string[]}>}|null>}
+ */
+async function exportToPinterestCSV(data = [], boardName = "Pinterest") {
+  if (!Array.isArray(data) || !data.length) {
+    console.warn("exportToPinterestCSV called with empty data.");
+    return null;
+  }
+
+  const rows = buildPinterestRows(data, boardName);
+  const { flagged } = validatePinterestRows(rows);
+  if (flagged.length) {
+    console.warn(`Skipping ${flagged.length} pins Pinterest would reject:`, flagged);
+  }
+
+  const flaggedIndexes = new Set(flagged.map((entry) => entry.index));
+  const validRows = rows.filter((row, index) => !flaggedIndexes.has(index));
+  if (!validRows.length) {
+    const problems = [...new Set(flagged.flatMap((entry) => entry.problems))].join(", ");
+    throw new Error(`none of the ${rows.length} pins can be bulk-created on Pinterest (${problems})`);
+  }
+
+  // buildCSV takes its header order from the first record, which always has every column
+  await triggerDownload(buildCSV(validRows), getExportFileBase(boardName) + "_pinterest_bulk.csv", "text/csv");
+  return { exported: validRows.length, flagged };
+}
+
+const formatEmbedSummary = ({ full, thumbnails, linked }) => {
+  const parts = [
+    full ? `${full} embedded` : null,
+    thumbnails ? `${thumbnails} embedded as thumbnails (size budget)` : null,
+    linked ? `${linked} still linked to Pinterest` : null,
+  ].filter(Boolean);
+  return `🖼️ Images: ${parts.join(", ") || "none"}.`;
+};
+
+// Labels for the syncStatus an incremental ("new since last export") run puts on each pin
+const SYNC_STATUS_LABELS = {
+  new: "New",
+  unchanged: "Unchanged",
+  removed: "Removed from board",
+};
+
+const formatSyncSummary = ({ since, newCount, unchangedCount, removedCount }) =>
+  `Since the export of ${new Date(since).toLocaleDateString()}: ${newCount} new, ${unchangedCount} unchanged, ${removedCount} removed from the board.`;
+
+// Backslash-escapes characters that Markdown would otherwise interpret
+const escapeMarkdown = (text) => String(text ?? "").replace(/([\\`*_{}\[\]()#+!|<>])/g, "\\$1");
+
+// Percent-encodes the characters that would end a Markdown link target early
+const toMarkdownUrl = (url) => String(url || "").replace(/[()\s<>]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+
+// Markdown link, or plain text when the URL fails the allowlist
+const markdownLink = (text, url, kind = "search") => {
+  const allowed = safeUrl(url, kind);
+  return allowed ? `[${escapeMarkdown(text)}](${toMarkdownUrl(allowed)})` : escapeMarkdown(text);
+};
+
+const formatMarkdownAttributes = (attributes) => {
+  if (!attributes) return "";
+  const parts = ITEM_ATTRIBUTE_LABELS
+    .filter(([key]) => attributes[key])
+    .map(([key, label]) => `${label}: ${escapeMarkdown(attributes[key])}`);
+  return parts.length ? ` (${parts.join(", ")})` : "";
+};
+
+/**
+ * Builds a Markdown summary of the board for notes apps.
+ * @param {Object[]} data Processed pins
+ * @param {string} boardName
+ * @param {Object} metadata Export preferences
+ * @returns {string}
+ */
+function buildMarkdown(data = [], boardName = "Pinterest", metadata = {}) {
+  const lines = [`# ${escapeMarkdown(boardName)} Summary`, ""];
+
+  const preferences = [
+    metadata.gender ? `**Target Audience:** ${escapeMarkdown(metadata.gender)}` : null,
+    metadata.itemType ? `**Item Type:** ${escapeMarkdown(metadata.itemType)}` : null,
+    metadata.brands ? `**Preferred Brands/Styles:** ${escapeMarkdown(metadata.brands)}` : null,
+  ].filter(Boolean);
+  if (preferences.length) {
+    lines.push(...preferences.map((line) => `> ${line}  `), "");
+  }
+  if (metadata.embeddedImages) {
+    lines.push(formatEmbedSummary(metadata.embeddedImages), "");
+  }
+  if (metadata.sync) {
+    lines.push(formatSyncSummary(metadata.sync), "");
   }
-  headers.push("Link");
 
-  // Create HTML table
-  let tableRows = data
-    .map((pin) => {
+  data.forEach((pin, index) => {
+    const title = pin.title || "Unknown Item";
+    const status = pin.syncStatus && pin.syncStatus !== "unchanged" ? ` _(${SYNC_STATUS_LABELS[pin.syncStatus]})_` : "";
+    lines.push(`## ${index + 1}. ${escapeMarkdown(title)}${status}`, "");
+
+    const imageUrl = safeUrl(pin.imageUrl, "media");
+    if (imageUrl) {
+      lines.push(`![${escapeMarkdown(title)}](${toMarkdownUrl(imageUrl)})`, "");
+    }
+    if (safeUrl(pin.videoUrl, "media")) {
+      lines.push(markdownLink("▶ Video", pin.videoUrl, "media"), "");
+    }
+    if (pin.description) {
+      lines.push(escapeMarkdown(pin.description), "");
+    }
+
+    const items = collectPinItems(pin);
+    const analysisItems = items.filter((item) => item.source === "analysis");
+    const visualMatches = items.filter((item) => item.source === "lykdat");
+
+    if (analysisItems.length) {
+      const provider = pin.analysis?.provider ? ` (${getProviderLabel(pin.analysis.provider)})` : "";
+      lines.push(`**Items${escapeMarkdown(provider)}:**`, "");
+      analysisItems.forEach((item) => {
+        const buy = markdownLink(item.name, item.exactUrl);
+        const preferred = safeUrl(item.preferredUrl, "search") ? ` · ${markdownLink("style match", item.preferredUrl)}` : "";
+        lines.push(`- ${buy}${formatMarkdownAttributes(item.attributes)}${preferred}`);
+      });
+      lines.push("");
+    } else if (!pin.lensResult) {
+      lines.push("_No match found._", "");
+    }
+
+    if (visualMatches.length) {
+      lines.push("**Visual matches:**", "");
+      visualMatches.forEach((match) => {
+        const price = match.price ? `${match.currency ? match.currency + " " : ""}${match.price}` : "";
+        const meta = [match.retailer, price].filter(Boolean).map(escapeMarkdown).join(" · ");
+        lines.push(`- ${markdownLink(match.name, match.exactUrl, "retailer")}${meta ? ` - ${meta}` : ""}`);
+      });
+      lines.push("");
+    }
+
+    if (safeUrl(pin.link, "pin")) {
+      lines.push(markdownLink("View on Pinterest", pin.link, "pin"), "");
+    }
+  });
+
+  return lines.join("\n");
+}
+
+function exportToMarkdown(data = [], boardName = "Pinterest", metadata = {}) {
+  if (!Array.isArray(data) || !data.length) {
+    console.warn("exportToMarkdown called with empty data.");
+    return;
+  }
+
+  return triggerDownload(buildMarkdown(data, boardName, metadata), getExportFileBase(boardName) + "_summary.md", "text/markdown");
+}
+
+/**
+ * Builds an XLSX workbook with one sheet for the board's pins and one for the detected items.
+ * @param {Object[]} data Processed pins
+ * @param {string} boardName
+ * @returns {Uint8Array}
+ */
+function buildWorkbook(data = [], boardName = "Pinterest") {
+  const pinRows = [
+    ["#", "Title", "Description", "Pin Link", "Image URL", "Video URL", "Items", "Provider", "Sync Status"],
+    ...data.map((pin, index) => [
+      index + 1,
+      pin.title || "",
+      pin.description || "",
+      pin.link || "",
+      pin.imageUrl || "",
+      pin.videoUrl || "",
+      pin.lensResult || "",
+      pin.analysis?.provider || pin.provider || "",
+      SYNC_STATUS_LABELS[pin.syncStatus] || "",
+    ]),
+  ];
+
+  const itemRecords = buildItemRows(data);
+  const itemHeaders = collectHeaders(itemRecords);
+  const itemRows = [itemHeaders, ...itemRecords.map((record) => itemHeaders.map((header) => record[header]))];
+
+  return buildXlsxWorkbook([
+    { name: boardName, rows: pinRows },
+    { name: "Items", rows: itemRows },
+  ]);
+}
+
+function exportToXLSX(data = [], boardName = "Pinterest") {
+  if (!Array.isArray(data) || !data.length) {
+    console.warn("exportToXLSX called with empty data.");
+    return;
+  }
+
+  return triggerDownload(
+    buildWorkbook(data, boardName),
+    getExportFileBase(boardName) + "_summary.xlsx",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+}
+
+const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Builds a printable lookbook PDF with one page per pin: image, title, detected items and their links.
+ * @param {Object[]} data Processed pins
+ * @param {string} boardName
+ * @param {Object} metadata Export preferences
+ * @param {{loadImage?: (url: string) => Promise<string|null>}} [options] Returns a base64 JPEG for a pin image
+ * @returns {Promise<Uint8Array>}
+ */
+async function buildLookbookPdf(data = [], boardName = "Pinterest", metadata = {}, { loadImage } = {}) {
+  const pdf = createPdfDocument();
+  const margin = 40;
+
+  for (const [index, pin] of data.entries()) {
+    const page = pdf.addPage();
+    const contentWidth = page.width - margin * 2;
+    let y = margin;
+
+    page.text(`${boardName} · ${index + 1} of ${data.length}`, margin, y, { size: 9, color: [0.5, 0.5, 0.5] });
+    y += 24;
+
+    if (pin.syncStatus && pin.syncStatus !== "unchanged") {
+      const color = pin.syncStatus === "removed" ? [0.9, 0, 0.14] : [0.11, 0.73, 0.33];
+      page.text(SYNC_STATUS_LABELS[pin.syncStatus], margin, y, { size: 10, bold: true, color });
+      y += 16;
+    }
+
+    wrapPdfText(pin.title || "Unknown Item", contentWidth, 18).slice(0, 2).forEach((line) => {
+      page.text(line, margin, y, { size: 18, bold: true });
+      y += 22;
+    });
+    y += 6;
+
+    // Images that can't be loaded just leave the page text-only
+    const base64 = loadImage && pin.imageUrl ? await loadImage(pin.imageUrl).catch(() => null) : null;
+    const jpegBytes = base64 ? base64ToBytes(base64) : null;
+    const size = jpegBytes ? readJpegSize(jpegBytes) : null;
+    if (size) {
+      const scale = Math.min(contentWidth / size.width, 380 / size.height, 1.5);
+      const width = Math.round(size.width * scale);
+      const height = Math.round(size.height * scale);
+      page.image({ bytes: jpegBytes, ...size }, margin, y, width, height);
+      if (safeUrl(pin.link, "pin")) page.link(margin, y, width, height, safeUrl(pin.link, "pin"));
+      y += height + 16;
+    }
+
+    if (pin.description) {
+      wrapPdfText(pin.description, contentWidth, 10).slice(0, 4).forEach((line) => {
+        page.text(line, margin, y, { size: 10, color: [0.3, 0.3, 0.3] });
+        y += 13;
+      });
+      y += 8;
+    }
+
+    const items = collectPinItems(pin);
+    if (items.length) {
+      page.text("Shop the look", margin, y, { size: 12, bold: true });
+      y += 18;
+    } else {
+      page.text("No match found.", margin, y, { size: 11, color: [0.5, 0.5, 0.5] });
+      y += 18;
+    }
+
+    for (const item of items) {
+      if (y > page.height - margin - 30) break; // One page per pin, so trailing items are dropped
+
+      const attributes = ITEM_ATTRIBUTE_LABELS
+        .filter(([key]) => item.attributes?.[key])
+        .map(([key]) => item.attributes[key])
+        .join(" · ");
+      const prefix = item.source === "lykdat" ? "Visual match: " : "";
+      const nameLines = wrapPdfText(`${prefix}${item.name}`, contentWidth, 11).slice(0, 2);
+      const exactUrl = safeUrl(item.exactUrl, item.source === "lykdat" ? "retailer" : "search");
+      if (exactUrl) page.link(margin, y - 11, contentWidth, nameLines.length * 14, exactUrl);
+      nameLines.forEach((line) => {
+        page.text(line, margin, y, { size: 11, bold: true, color: [0.9, 0, 0.14] });
+        y += 14;
+      });
+
+      const details = [attributes, item.retailer, item.price].filter(Boolean).join(" · ");
+      if (details) {
+        wrapPdfText(details, contentWidth - 10, 9).slice(0, 2).forEach((line) => {
+          page.text(line, margin + 10, y, { size: 9, color: [0.4, 0.4, 0.4] });
+          y += 12;
+        });
+      }
+      const preferredUrl = safeUrl(item.preferredUrl, "search");
+      if (preferredUrl) {
+        page.text("Style match ›", margin + 10, y, { size: 9, color: [0.11, 0.73, 0.33] });
+        page.link(margin + 10, y - 9, 80, 12, preferredUrl);
+        y += 12;
+      }
+      y += 4;
+    }
+
+    const pinLink = safeUrl(pin.link, "pin");
+    if (pinLink) {
+      page.text("View on Pinterest", margin, page.height - margin, { size: 9, color: [0.1, 0.45, 0.91] });
+      page.link(margin, page.height - margin - 9, 90, 12, pinLink);
+    }
+  }
+
+  return pdf.build();
+}
+
+async function exportToPDF(data = [], boardName = "Pinterest", metadata = {}, options = {}) {
+  if (!Array.isArray(data) || !data.length) {
+    console.warn("exportToPDF called with empty data.");
+    return;
+  }
+
+  const bytes = await buildLookbookPdf(data, boardName, metadata, options);
+  return triggerDownload(bytes, getExportFileBase(boardName) + "_lookbook.pdf", "application/pdf");
+}
+
+// Formats whose output can carry the pin images inline
+const EMBED_IMAGE_FORMATS = ["html", "markdown"];
+
+// Inline images are capped so the report stays quick to open (base64 characters)
+const EMBED_IMAGES_BUDGET = 15 * 1024 * 1024;
+const EMBED_THUMBNAIL_SIZE = 240;
+
+/**
+ * Replaces pin image URLs with inline JPEG data URIs so the report keeps working once the CDN links expire.
+ * Uses the full resized JPEGs while they fit the budget, otherwise thumbnails; pins past the budget keep their URL.
+ * @param {Object[]} data Processed pins
+ * @param {{loadImage: (url: string) => Promise<string|null>, resizeImage?: (base64: string, maxSize: number) => Promise<string|null>, budget?: number}} options
+ * @returns {Promise<{pins: Object[], summary: {full: number, thumbnails: number, linked: number}}>}
+ */
+async function embedPinImages(data, { loadImage, resizeImage, budget = EMBED_IMAGES_BUDGET }) {
+  const images = [];
+  for (const pin of data) {
+    images.push(pin.imageUrl ? await loadImage(pin.imageUrl).catch(() => null) : null);
+  }
+
+  const fullSize = images.reduce((sum, image) => sum + (image ? image.length : 0), 0);
+  const useThumbnails = fullSize > budget && typeof resizeImage === "function";
+
+  const summary = { full: 0, thumbnails: 0, linked: 0 };
+  let used = 0;
+  const pins = [];
+
+  for (const [index, pin] of data.entries()) {
+    let image = images[index];
+    if (image && useThumbnails) {
+      image = await resizeImage(image, EMBED_THUMBNAIL_SIZE);
+    }
+
+    if (!image || used + image.length > budget) {
+      if (pin.imageUrl) summary.linked++;
+      pins.push(pin);
+      continue;
+    }
+
+    used += image.length;
+    summary[useThumbnails ? "thumbnails" : "full"]++;
+    // The original URL is kept for links that need it (e.g. Google Lens)
+    pins.push({ ...pin, imageUrl: `data:image/jpeg;base64,${image}`, originalImageUrl: pin.imageUrl });
+  }
+
+  return { pins, summary };
+}
+
+// Cap on everything downloaded into an archive, which is built in memory before it is saved
+const ARCHIVE_BUDGET_BYTES = 150 * 1024 * 1024;
+
+const ARCHIVE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+};
+
+// Pinterest serves every size of an image under the same path, e.g. /736x/ab/cd/hash.jpg -> /originals/ab/cd/hash.jpg
+const toOriginalImageUrl = (url) => {
+  const original = String(url || "").replace(/^(https:\/\/i\.pinimg\.com\/)[^/]+\//, "$1originals/");
+  return original !== url ? original : null;
+};
+
+/**
+ * Downloads a file for the archive, trying each URL in turn.
+ * @param {string[]} urls
+ * @param {number} remainingBytes Files larger than this are skipped
+ * @returns {Promise<{bytes: Uint8Array, extension: string, url: string}|{error: string}>}
+ */
+const fetchArchiveFile = async (urls, remainingBytes) => {
+  let error = "no URL";
+  for (const url of urls.filter(Boolean)) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+        continue;
+      }
+      const declaredSize = Number(response.headers.get("content-length"));
+      if (declaredSize > remainingBytes) {
+        return { error: "archive size budget exceeded" };
+      }
+
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      if (bytes.length > remainingBytes) {
+        return { error: "archive size budget exceeded" };
+      }
+      const type = (response.headers.get("content-type") || "").split(";")[0].trim();
+      const extension = ARCHIVE_EXTENSIONS[type] || (url.match(/\.(jpe?g|png|gif|webp|mp4|webm)(\?|$)/i)?.[1] || "bin").toLowerCase();
+      return { bytes, extension, url };
+    } catch (err) {
+      error = err.message;
+    }
+  }
+  return { error };
+};
+
+/**
+ * Builds a ZIP with the board's original-resolution images, videos, the HTML summary (pointing at the bundled files)
+ * and manifest.json (the JSON export plus the archive's file list).
+ * @param {Object[]} data Processed pins
+ * @param {string} boardName
+ * @param {Object} metadata Export preferences + run summary
+ * @returns {Promise<Uint8Array>}
+ */
+async function buildArchive(data = [], boardName = "Pinterest", metadata = {}) {
+  const entries = [];
+  const files = [];
+  let remaining = ARCHIVE_BUDGET_BYTES;
+
+  const localPins = [];
+  for (const [index, pin] of data.entries()) {
+    const number = String(index + 1).padStart(3, "0");
+    const record = { pin: index, link: pin.link || null, image: null, video: null, errors: [] };
+    const localPin = { ...pin, originalImageUrl: pin.imageUrl };
+
+    if (pin.imageUrl) {
+      const image = await fetchArchiveFile([toOriginalImageUrl(pin.imageUrl), pin.imageUrl], remaining);
+      if (image.bytes) {
+        record.image = `images/${number}.${image.extension}`;
+        entries.push({ name: record.image, data: image.bytes });
+        remaining -= image.bytes.length;
+        localPin.imageUrl = record.image;
+      } else {
+        record.errors.push(`image: ${image.error}`);
+      }
+    }
+
+    // content.js only reports real video files (blob: player URLs are skipped)
+    if (pin.videoUrl && !pin.videoUrl.startsWith("blob:")) {
+      const video = await fetchArchiveFile([pin.videoUrl], remaining);
+      if (video.bytes) {
+        record.video = `videos/${number}.${video.extension}`;
+        entries.push({ name: record.video, data: video.bytes });
+        remaining -= video.bytes.length;
+        localPin.videoUrl = record.video;
+      } else {
+        record.errors.push(`video: ${video.error}`);
+      }
+    }
+
+    files.push(record);
+    localPins.push(localPin);
+  }
+
+  const manifest = {
+    ...buildExportDocument(data, boardName, metadata),
+    archive: { summary: "summary.html", files },
+  };
+
+  entries.push(
+    { name: "summary.html", data: buildShopPageHTML(localPins, boardName, metadata) },
+    { name: "manifest.json", data: JSON.stringify(manifest, null, 2) }
+  );
+  return createZip(entries);
+}
+
+async function exportToArchive(data = [], boardName = "Pinterest", metadata = {}) {
+  if (!Array.isArray(data) || !data.length) {
+    console.warn("exportToArchive called with empty data.");
+    return;
+  }
+
+  const zip = await buildArchive(data, boardName, metadata);
+  return triggerDownload(zip, getExportFileBase(boardName) + "_archive.zip", "application/zip");
+}
+
+/**
+ * Writes processed pins in the requested output format.
+ * @param {Object[]} data Processed pins
+ * @param {string} boardName
+ * @param {string} format One of EXPORT_FORMATS
+ * @param {Object} metadata Export preferences + run summary
+ * @param {{loadImage?: Function, resizeImage?: Function, embedImages?: boolean}} [options] Used by formats that embed images
+ * @returns {Promise<void>}
+ */
+async function exportPins(data = [], boardName = "Pinterest", format = "html", metadata = {}, options = {}) {
+  if (options.embedImages && options.loadImage && EMBED_IMAGE_FORMATS.includes(format)) {
+    const { pins, summary } = await embedPinImages(data, options);
+    data = pins;
+    metadata = { ...metadata, embeddedImages: summary };
+  }
+
+  if (format === "csv") {
+    await exportItemsToCSV(data, boardName);
+  } else if (format === "json") {
+    await exportToJSON(data, boardName, metadata);
+  } else if (format === "markdown") {
+    await exportToMarkdown(data, boardName, metadata);
+  } else if (format === "xlsx") {
+    await exportToXLSX(data, boardName);
+  } else if (format === "pdf") {
+    await exportToPDF(data, boardName, metadata, options);
+  } else if (format === "pinterest") {
+    // Pins that left the board are only listed in reports, not queued for upload again
+    await exportToPinterestCSV(data.filter((pin) => pin.syncStatus !== "removed"), boardName);
+  } else if (format === "archive") {
+    await exportToArchive(data, boardName, metadata);
+  } else {
+    await exportToHTML(data, boardName, metadata);
+  }
+}
+
+
+// Display order + labels for the structured item attributes produced by the analysis step
+const ITEM_ATTRIBUTE_LABELS = [
+  ["category", "Category"],
+  ["brand", "Brand"],
+  ["primaryColor", "Color"],
+  ["secondaryColor", "Accent"],
+  ["material", "Material"],
+  ["pattern", "Pattern"],
+  ["fit", "Fit"],
+  ["gender", "For"],
+  ["priceBand", "Price"],
+];
+
+function formatItemAttributes(attributes) {
+  if (!attributes) return "";
+
+  const chips = ITEM_ATTRIBUTE_LABELS
+    .filter(([key]) => attributes[key])
+    .map(([key, label]) => `<span style="display:inline-block; background:#f1f1f1; color:#555; border-radius:10px; padding:2px 8px; margin:0 4px 4px 0; font-size:11px;">${label}: ${escapeHtml(attributes[key])}</span>`);
+
+  if (typeof attributes.confidence === "number") {
+    chips.push(`<span style="display:inline-block; color:#888; padding:2px 0; font-size:11px;">${Math.round(attributes.confidence * 100)}% confident</span>`);
+  }
+
+  return chips.length ? `<div style="margin-bottom: 6px;">${chips.join("")}</div>` : "";
+}
+
+// Cropped thumbnail of the detected item, shown next to its shopping link
+function formatItemThumbnail(linkObj) {
+  const thumbnail = safeUrl(linkObj.thumbnail, "image");
+  if (!thumbnail) return "";
+  return `<img src="${escapeHtml(thumbnail)}" alt="${escapeHtml(linkObj.item)}" width="56" style="width:56px; height:auto; border-radius:6px; border:1px solid #eee; flex-shrink:0;">`;
+}
+
+function isVisualMatch(linkObj) {
+  return linkObj?.source === "lykdat";
+}
+
+// Product card for a visual search result: image, name, retailer and price
+function formatVisualMatch(match) {
+  const url = safeUrl(match.url, "retailer");
+  if (!url) return "";
+
+  const imageUrl = safeUrl(match.image, "image");
+  const image = imageUrl
+    ? `<img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(match.item)}" style="width:100%; height:96px; object-fit:cover; border-radius:6px;">`
+    : "";
+  const price = match.price ? `${match.currency ? match.currency + " " : ""}${match.price}` : "";
+  const meta = [match.retailer, price].filter(Boolean).join(" · ");
+
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer"
+     style="width:110px; text-decoration:none; color:#333; border:1px solid #eee; border-radius:8px; padding:6px; font-size:11px; display:block;">
+     ${image}
+     <div style="margin-top:4px; font-weight:bold; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(match.item)}</div>
+     ${meta ? `<div style="color:#888;">${escapeHtml(meta)}</div>` : ""}
+  </a>`;
+}
+
+// Provider labels come from the registry when it's loaded; the raw id is good enough otherwise
+const getProviderLabel = (id) => {
+  const provider = typeof getVisionProvider === "function" ? getVisionProvider(id) : null;
+  return provider ? provider.label : id;
+};
+
+const formatFailedAttempts = (analysis) => {
+  const attempts = analysis?.attempts || [];
+  if (!attempts.length) return "";
+  return `<ul style="margin: 6px 0 0 0; padding-left: 20px; font-size: 12px; color: #666;">` +
+    attempts.map((attempt) => `<li>${escapeHtml(attempt.provider ? getProviderLabel(attempt.provider) : "Pipeline")}: ${escapeHtml(attempt.error)}</li>`).join("") +
+    `</ul>`;
+};
+
+// Price bands in ascending order, used by the shop page's "price" sort
+const PRICE_BAND_ORDER = ["budget", "mid-range", "premium", "luxury"];
+
+// Collects the filterable facets of a pin from its detected items
+const collectPinFacets = (pin) => {
+  const facets = { categories: [], colors: [], brands: [], prices: [], statuses: [] };
+  const add = (list, value) => {
+    if (value && !list.includes(value)) list.push(value);
+  };
+
+  add(facets.statuses, SYNC_STATUS_LABELS[pin.syncStatus]);
+  (pin.shoppingLinks || []).forEach((linkObj) => {
+    const attributes = linkObj.attributes || {};
+    add(facets.categories, attributes.category);
+    add(facets.colors, attributes.primaryColor);
+    add(facets.brands, attributes.brand || linkObj.brand);
+    add(facets.prices, attributes.priceBand);
+  });
+  return facets;
+};
+
+// Button that adds a shopping link to the page's shortlist (resolved through the inlined pin data)
+const formatShortlistButton = (pinIndex, linkIndex) =>
+  `<button type="button" class="shortlist-toggle" data-pin="${pinIndex}" data-link="${linkIndex}" title="Add to shortlist">☆</button>`;
+
+/**
+ * Runs inside the exported page: filtering, sorting, search and the localStorage shortlist.
+ * Inlined via Function.prototype.toString, so it must not reference anything outside its own body.
+ */
+function shopPageScript() {
+  const data = JSON.parse(document.getElementById("pin-data").textContent);
+  const grid = document.getElementById("pin-grid");
+  const cards = Array.from(grid.querySelectorAll(".pin-card"));
+  const searchInput = document.getElementById("search-input");
+  const sortSelect = document.getElementById("sort-select");
+  const resultCount = document.getElementById("result-count");
+  const filterSelects = {
+    categories: document.getElementById("filter-category"),
+    colors: document.getElementById("filter-color"),
+    brands: document.getElementById("filter-brand"),
+    prices: document.getElementById("filter-price"),
+    statuses: document.getElementById("filter-status"),
+  };
+  const shortlistKey = `shortlist:${data.boardName}`;
+
+  // Fill each filter with the values that actually occur on this board
+  Object.entries(filterSelects).forEach(([facet, select]) => {
+    const values = [...new Set(data.pins.flatMap((pin) => pin[facet]))].sort();
+    values.forEach((value) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+    select.disabled = values.length === 0;
+  });
+
+  const priceRank = (pin) => {
+    const ranks = pin.prices.map((band) => data.priceBandOrder.indexOf(band)).filter((rank) => rank >= 0);
+    return ranks.length ? Math.min(...ranks) : Infinity;
+  };
+
+  const sorters = {
+    board: (a, b) => a.order - b.order,
+    title: (a, b) => a.title.localeCompare(b.title),
+    items: (a, b) => b.links.length - a.links.length,
+    price: (a, b) => priceRank(a) - priceRank(b),
+  };
+
+  const render = () => {
+    const query = searchInput.value.trim().toLowerCase();
+    const active = Object.entries(filterSelects).filter(([, select]) => select.value);
+
+    let visible = 0;
+    data.pins.forEach((pin, index) => {
+      const matches = (!query || pin.search.includes(query))
+        && active.every(([facet, select]) => pin[facet].includes(select.value));
+      cards[index].hidden = !matches;
+      if (matches) visible++;
+    });
+
+    const sorter = sorters[sortSelect.value] || sorters.board;
+    data.pins
+      .map((pin, index) => ({ pin, card: cards[index] }))
+      .sort((a, b) => sorter(a.pin, b.pin))
+      .forEach(({ card }) => grid.appendChild(card));
+
+    resultCount.textContent = `${visible} of ${data.pins.length} pins`;
+  };
+
+  // --- Shortlist ---
+  const loadShortlist = () => {
+    try {
+      return JSON.parse(localStorage.getItem(shortlistKey)) || [];
+    } catch {
+      return [];
+    }
+  };
+  let shortlist = loadShortlist();
+
+  const shortlistPanel = document.getElementById("shortlist-panel");
+  const shortlistItems = document.getElementById("shortlist-items");
+  const shortlistCount = document.getElementById("shortlist-count");
+
+  const formatShortlist = () => shortlist.map((entry) => `${entry.item} - ${entry.url}`).join("\n");
+
+  const renderShortlist = () => {
+    localStorage.setItem(shortlistKey, JSON.stringify(shortlist));
+    shortlistCount.textContent = shortlist.length;
+
+    shortlistItems.textContent = "";
+    if (!shortlist.length) {
+      const empty = document.createElement("li");
+      empty.className = "shortlist-empty";
+      empty.textContent = "Tap ☆ next to a shopping link to save it here.";
+      shortlistItems.appendChild(empty);
+    }
+    shortlist.forEach((entry) => {
+      const li = document.createElement("li");
+      const link = document.createElement("a");
+      // Entries come back from localStorage, so only https links are restored as links
+      if (/^https:\/\//i.test(entry.url)) link.href = entry.url;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = entry.item;
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.textContent = "✕";
+      remove.title = "Remove";
+      remove.addEventListener("click", () => {
+        shortlist = shortlist.filter((other) => other.url !== entry.url);
+        renderShortlist();
+      });
+      li.append(link, remove);
+      shortlistItems.appendChild(li);
+    });
+
+    const saved = new Set(shortlist.map((entry) => entry.url));
+    document.querySelectorAll(".shortlist-toggle").forEach((button) => {
+      const link = data.pins[button.dataset.pin].links[button.dataset.link];
+      const isSaved = saved.has(link.url);
+      button.textContent = isSaved ? "★" : "☆";
+      button.classList.toggle("saved", isSaved);
+    });
+  };
+
+  grid.addEventListener("click", (event) => {
+    const button = event.target.closest(".shortlist-toggle");
+    if (!button) return;
+
+    const pin = data.pins[button.dataset.pin];
+    const link = pin.links[button.dataset.link];
+    if (shortlist.some((entry) => entry.url === link.url)) {
+      shortlist = shortlist.filter((entry) => entry.url !== link.url);
+    } else {
+      shortlist.push({ item: link.item, url: link.url, pin: pin.link });
+    }
+    renderShortlist();
+  });
+
+  document.getElementById("shortlist-toggle-panel").addEventListener("click", () => {
+    shortlistPanel.classList.toggle("open");
+  });
+  document.getElementById("shortlist-copy").addEventListener("click", (event) => {
+    navigator.clipboard.writeText(formatShortlist()).then(() => {
+      event.target.textContent = "Copied!";
+      setTimeout(() => { event.target.textContent = "Copy links"; }, 1500);
+    });
+  });
+  document.getElementById("shortlist-download").addEventListener("click", () => {
+    const url = URL.createObjectURL(new Blob([formatShortlist()], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${data.fileBase}_shortlist.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+  document.getElementById("shortlist-clear").addEventListener("click", () => {
+    shortlist = [];
+    renderShortlist();
+  });
+
+  searchInput.addEventListener("input", render);
+  sortSelect.addEventListener("change", render);
+  Object.values(filterSelects).forEach((select) => select.addEventListener("change", render));
+
+  render();
+  renderShortlist();
+}
+
+/**
+ * Builds the interactive shop page for a board.
+ * @param {Object[]} data Processed pins
+ * @param {string} boardName
+ * @param {Object} metadata Export preferences + run summary
+ * @returns {string}
+ */
+function buildShopPageHTML(data = [], boardName = "Pinterest", metadata = {}) {
+
+  const hasPreferences = !!(metadata.gender || metadata.itemType || metadata.brands);
+  const fileBase = getExportFileBase(boardName);
+
+  // Filter/sort/shortlist data for the inlined script; cards look links up by index
+  const pinData = [];
+
+  // Create one card per pin
+  const cards = data
+    .map((pin, pinIndex) => {
+      // Media is only loaded from Pinterest's CDN (or our own inline JPEGs)
+      const imageUrl = safeUrl(pin.imageUrl, "media");
+      const videoUrl = safeUrl(pin.videoUrl, "media");
+
       let mediaContent = "";
-      if (pin.videoUrl) {
-        mediaContent = `<video controls width="150" style="max-width:150px;height:auto;display:block;" poster="${pin.imageUrl || ""
-          }">
-          <source src="${pin.videoUrl}" type="video/mp4">
-          <source src="${pin.videoUrl}" type="video/webm">
+      if (videoUrl) {
+        mediaContent = `<video controls style="width:100%;height:auto;display:block;" poster="${escapeHtml(imageUrl)}">
+          <source src="${escapeHtml(videoUrl)}" type="video/mp4">
+          <source src="${escapeHtml(videoUrl)}" type="video/webm">
           Your browser does not support the video tag.
         </video>`;
-      } else if (pin.imageUrl) {
-        mediaContent = `<img src="${pin.imageUrl}" width="150" style="max-width:150px;height:auto;display:block;" alt="${pin.title || "pin"
-          }">`;
+      } else if (imageUrl) {
+        mediaContent = `<img src="${escapeHtml(imageUrl)}" style="width:100%;height:auto;display:block;" alt="${escapeHtml(pin.title || "pin")}" loading="lazy">`;
       }
 
       const title = pin.title || "Unknown Item";
-      let desc = pin.description || "";
+      let desc = escapeHtml(pin.description || "");
 
       // "List it in the description behavior"
       const itemLabel = metadata.itemType ? metadata.itemType : "Item";
-      desc += `<br><br><strong>${itemLabel}:</strong> ${title}`;
+      desc += `<br><br><strong>${escapeHtml(itemLabel)}:</strong> ${escapeHtml(title)}`;
 
-      let itemNameColumn = title;
+      let analysisHtml = "";
 
       if (pin.lensResult) {
         const items = pin.lensResult.split(',').map(s => s.trim()).filter(Boolean);
         const listHtml = `<ul style="margin-top: 8px; margin-bottom: 0; padding-left: 20px;">` +
-          items.map(item => `<li style="margin-bottom: 4px;">${item}</li>`).join('') +
+          items.map(item => `<li style="margin-bottom: 4px;">${escapeHtml(item)}</li>`).join('') +
           `</ul>`;
 
-        itemNameColumn = `<div style="font-size: 14px;"><strong>🔮 Gemini Analysis:</strong>${listHtml}</div>
-          <div style="margin-top: 16px;">
-            <a href="https://lens.google.com/upload?url=${encodeURIComponent(pin.imageUrl)}" target="_blank" 
+        const analyzedBy = pin.analysis?.provider ? getProviderLabel(pin.analysis.provider) : "Gemini";
+        const fallbackNote = pin.analysis?.attempts?.length
+          ? `<div style="margin-top: 8px; font-size: 12px; color: #888;">Fallback used after:</div>${formatFailedAttempts(pin.analysis)}`
+          : "";
+
+        const lensImageUrl = safeUrl(pin.originalImageUrl || pin.imageUrl, "media");
+        const lensLink = lensImageUrl && !lensImageUrl.startsWith("data:")
+          ? `<div style="margin-top: 12px;">
+            <a href="https://lens.google.com/upload?url=${encodeURIComponent(lensImageUrl)}" target="_blank" rel="noopener noreferrer"
                style="text-decoration:none; color:#1a73e8; background:#fff; border:1px solid #1a73e8; padding:6px 12px; border-radius:8px; font-size:12px; font-weight:bold; display:inline-flex; align-items:center;">
                Find Exact Visual Match 📸
             </a>
-          </div>`;
+          </div>`
+          : "";
+
+        analysisHtml = `<div style="font-size: 14px;"><strong>🔮 ${escapeHtml(analyzedBy)} Analysis:</strong>${listHtml}${fallbackNote}</div>
+          ${lensLink}`;
       } else {
-        desc += `<br><br><div style="padding:10px; background:#f1f1f1; border-left:4px solid #888; border-radius:4px;">
-            <strong>🔮 Gemini Analysis:</strong><br>
-            No match found (Check console)
+        analysisHtml = `<div style="padding:10px; background:#f1f1f1; border-left:4px solid #888; border-radius:4px;">
+            <strong>🔮 Analysis:</strong><br>
+            No match found${pin.analysis ? ` by any provider${formatFailedAttempts(pin.analysis)}` : " (Check console)"}
           </div>`;
       }
 
+      // Every link that can be shortlisted, in the order the buttons reference them
+      const shortlistLinks = [];
+      const shortlistButton = (linkObj) => {
+        shortlistLinks.push({ item: linkObj.item, url: linkObj.url });
+        return formatShortlistButton(pinIndex, shortlistLinks.length - 1);
+      };
+
+      // Links that fail the URL allowlist (non-https, javascript: etc.) are dropped entirely
+      const withSafeUrl = (linkObj) => ({ ...linkObj, url: safeUrl(linkObj.url, isVisualMatch(linkObj) ? "retailer" : "search") });
+      const allLinks = (pin.shoppingLinks || []).map(withSafeUrl).filter((linkObj) => linkObj.url);
+      const preferredLinks = (pin.preferredLinks || []).map(withSafeUrl).filter((linkObj) => linkObj.url);
+
+      // Visual search results (Lykdat) are listed in their own section below the analysis links
+      const directLinks = allLinks.filter((linkObj) => !isVisualMatch(linkObj));
+      const visualMatches = allLinks.filter(isVisualMatch);
+
       // Render Multiple Shopping Links in Description
-      if (pin.shoppingLinks && pin.shoppingLinks.length > 0) {
-        const linksHtml = pin.shoppingLinks.map(linkObj => `
-          <a href="${linkObj.url}" target="_blank" 
-             style="text-decoration:none; color:#fff; background:#E60023; padding:6px 12px; border-radius:8px; font-size:12px; font-weight:bold; display:inline-flex; align-items:center; margin-bottom: 6px;">
-             🛍️ Buy ${linkObj.item}
-          </a>
-        `).join('<br/>');
+      if (directLinks.length > 0) {
+        const linksHtml = directLinks.map(linkObj => `
+          <div style="display: flex; gap: 8px; align-items: flex-start;">
+            ${formatItemThumbnail(linkObj)}
+            <div>
+              <a href="${escapeHtml(linkObj.url)}" target="_blank" rel="noopener noreferrer"
+                 style="text-decoration:none; color:#fff; background:#E60023; padding:6px 12px; border-radius:8px; font-size:12px; font-weight:bold; display:inline-flex; align-items:center; margin-bottom: 6px;">
+                 🛍️ Buy ${escapeHtml(linkObj.item)}
+              </a>
+              ${shortlistButton(linkObj)}
+              ${formatItemAttributes(linkObj.attributes)}
+            </div>
+          </div>
+        `).join('');
 
         desc += `<br><br><div style="margin-top: 8px; display: flex; flex-direction: column; gap: 4px;">
             <strong>Direct Shopping Links:</strong><br>
@@ -173,45 +1173,74 @@ function exportToHTML(data = [], boardName = "Pinterest", metadata = {}) {
       } else if (pin.lensResult) {
         // Fallback for AI search failure
         desc += `<br><br><div style="margin-top: 8px; display: flex; flex-direction: column; gap: 8px;">
-            <a href="https://www.google.com/search?tbm=shop&q=${encodeURIComponent(pin.lensResult)}" target="_blank" 
+            <a href="https://www.google.com/search?tbm=shop&amp;q=${encodeURIComponent(pin.lensResult)}" target="_blank" rel="noopener noreferrer"
                style="text-decoration:none; color:#333; background:#fff; border:1px solid #ccc; padding:6px 12px; border-radius:8px; font-size:12px; font-weight:bold; display:inline-flex; align-items:center;">
                Shop This Look 🛍️
             </a>
           </div>`;
       }
 
-      const link = pin.link ? `<a href="${pin.link}" target="_blank">${pin.link}</a>` : "";
+      if (visualMatches.length > 0) {
+        desc += `<br><br><div style="margin-top: 8px;">
+            <strong>🔍 Visual matches:</strong>
+            <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 6px;">
+              ${visualMatches.map(match => `<div>${formatVisualMatch(match)}${shortlistButton(match)}</div>`).join('')}
+            </div>
+          </div>`;
+      }
 
-      // Render Multiple Preferred Shopping Links in Preferred Matches Column
-      let preferredTd = "";
+      // Render Multiple Preferred Shopping Links
+      let preferredHtml = "";
       if (hasPreferences) {
-        if (pin.preferredLinks && pin.preferredLinks.length > 0) {
-          const pLinksHtml = pin.preferredLinks.map(linkObj => `
-                <a href="${linkObj.url}" target="_blank" 
-                   style="text-decoration:none; color:#fff; background:#1db954; padding:6px 12px; border-radius:8px; font-size:12px; font-weight:bold; display:inline-flex; align-items:center; margin-bottom: 6px;">
-                   ✨ Shop ${linkObj.item}
-                </a>
-              `).join('<br/>');
-
-          preferredTd = `<td style="vertical-align: top;"><div style="display: flex; flex-direction: column; gap: 4px;">
-                  <strong>Style Matches:</strong><br>
+        if (preferredLinks.length > 0) {
+          const pLinksHtml = preferredLinks.map(linkObj => `
+                <div style="display: flex; gap: 8px; align-items: flex-start;">
+                  ${formatItemThumbnail(linkObj)}
+                  <a href="${escapeHtml(linkObj.url)}" target="_blank" rel="noopener noreferrer"
+                     style="text-decoration:none; color:#fff; background:#1db954; padding:6px 12px; border-radius:8px; font-size:12px; font-weight:bold; display:inline-flex; align-items:center; margin-bottom: 6px;">
+                     ✨ Shop ${escapeHtml(linkObj.item)}
+                  </a>
+                  ${shortlistButton(linkObj)}
+                </div>
+              `).join('');
+
+          preferredHtml = `<div class="pin-section" style="display: flex; flex-direction: column; gap: 4px;">
+                  <strong>Style Matches:</strong>
                   ${pLinksHtml}
-                </div></td>`;
+                </div>`;
         } else if (pin.lensResult) {
-          preferredTd = `<td style="vertical-align: top;"><span style="color: #888; font-size:12px; font-style: italic;">No specific matches found</span></td>`;
-        } else {
-          preferredTd = `<td style="vertical-align: top;"></td>`;
+          preferredHtml = `<div class="pin-section"><span style="color: #888; font-size:12px; font-style: italic;">No specific style matches found</span></div>`;
         }
       }
 
+      const pinLink = safeUrl(pin.link, "pin");
+      const link = pinLink ? `<a class="pin-link" href="${escapeHtml(pinLink)}" target="_blank" rel="noopener noreferrer">View on Pinterest ↗</a>` : "";
+
+      pinData.push({
+        order: pinIndex,
+        title,
+        link: pinLink || null,
+        search: [pin.title, pin.description, pin.lensResult, ...allLinks.map(linkObj => linkObj.item)]
+          .filter(Boolean).join(" ").toLowerCase(),
+        ...collectPinFacets(pin),
+        links: shortlistLinks,
+      });
+
+      const syncBadge = pin.syncStatus && pin.syncStatus !== "unchanged"
+        ? `<span class="sync-badge ${pin.syncStatus}">${escapeHtml(SYNC_STATUS_LABELS[pin.syncStatus])}</span>`
+        : "";
+
       return `
-      <tr>
-        <td style="vertical-align: top;">${mediaContent}</td>
-        <td style="vertical-align: top;">${itemNameColumn}</td>
-        <td style="vertical-align: top;">${desc}</td>
-        ${preferredTd}
-        <td style="vertical-align: top; word-break: break-all;">${link}</td>
-      </tr>`;
+      <article class="pin-card${pin.syncStatus === "removed" ? " removed" : ""}">
+        <div class="pin-media">${mediaContent}</div>
+        <div class="pin-body">
+          ${syncBadge}
+          <div class="pin-section">${analysisHtml}</div>
+          <div class="pin-section">${desc}</div>
+          ${preferredHtml}
+          ${link}
+        </div>
+      </article>`;
     })
     .join("\n");
 
@@ -220,52 +1249,142 @@ function exportToHTML(data = [], boardName = "Pinterest", metadata = {}) {
   if (metadata.gender || metadata.itemType || metadata.brands) {
     metadataHtml = `<div style="margin-bottom: 20px; padding: 15px; background: #f9f9f9; border-left: 4px solid #1db954;">`;
     if (metadata.gender) {
-      metadataHtml += `<p><strong>Target Audience:</strong> ${metadata.gender}</p>`;
+      metadataHtml += `<p><strong>Target Audience:</strong> ${escapeHtml(metadata.gender)}</p>`;
     }
     if (metadata.itemType) {
-      metadataHtml += `<p><strong>Item Type:</strong> ${metadata.itemType}</p>`;
+      metadataHtml += `<p><strong>Item Type:</strong> ${escapeHtml(metadata.itemType)}</p>`;
     }
     if (metadata.brands) {
-      metadataHtml += `<p><strong>Preferred Brands/Styles:</strong> ${metadata.brands}</p>`;
+      metadataHtml += `<p><strong>Preferred Brands/Styles:</strong> ${escapeHtml(metadata.brands)}</p>`;
     }
     metadataHtml += `</div>`;
   }
 
-  // Clean, standard HTML5
+  // Run summary: how many pins were served from the analysis cache instead of a new Gemini call
+  if (metadata.cacheHits) {
+    metadataHtml += `<p style="font-size: 13px; color: #666;">♻️ ${metadata.cacheHits} of ${data.length} pins reused cached analysis (no new Gemini calls).</p>`;
+  }
+
+  if (metadata.embeddedImages) {
+    metadataHtml += `<p style="font-size: 13px; color: #666;">${formatEmbedSummary(metadata.embeddedImages)}</p>`;
+  }
+
+  if (metadata.sync) {
+    metadataHtml += `<p style="font-size: 13px; color: #666;">🔄 ${escapeHtml(formatSyncSummary(metadata.sync))}</p>`;
+  }
+
+  // "<" is escaped so pin text can never close the data script early
+  const pageData = JSON.stringify({ boardName, fileBase, priceBandOrder: PRICE_BAND_ORDER, pins: pinData })
+    .replace(/</g, "\\u003c");
+
+  // Only the inlined script below may run; a script injected through pin or model text has no nonce
+  const nonce = createNonce();
+
+  // Single self-contained page: markup renders without JS, the inlined script adds filtering and the shortlist
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
-  <title>${boardName} Summary</title>
+  <meta http-equiv="Content-Security-Policy" content="${escapeHtml(buildExportCsp(nonce))}">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(boardName)} Summary</title>
   <style>
-    body { font-family: sans-serif; padding: 20px; }
-    table { border-collapse: collapse; width: 100%; border: 1px solid #ccc; }
-    th, td { border: 1px solid #ccc; padding: 10px; vertical-align: middle; text-align: left; }
-    th { background-color: #f4f4f4; font-weight: bold; }
+    body { font-family: sans-serif; padding: 20px; margin: 0; background: #fafafa; color: #222; }
     img { border-radius: 4px; }
+    .toolbar { position: sticky; top: 0; z-index: 5; display: flex; flex-wrap: wrap; gap: 8px; align-items: center; padding: 12px 0; background: #fafafa; border-bottom: 1px solid #eee; margin-bottom: 16px; }
+    .toolbar input, .toolbar select, .toolbar button { padding: 8px 10px; border: 1px solid #ccc; border-radius: 8px; font-size: 14px; background: #fff; }
+    .toolbar input[type=search] { flex: 1 1 220px; }
+    .toolbar .count { color: #666; font-size: 13px; }
+    .pin-grid { column-width: 300px; column-gap: 16px; }
+    .pin-card { break-inside: avoid; margin: 0 0 16px; background: #fff; border: 1px solid #e5e5e5; border-radius: 12px; overflow: hidden; }
+    .pin-card[hidden] { display: none; }
+    .pin-media img, .pin-media video { border-radius: 0; }
+    .pin-body { padding: 12px; font-size: 13px; line-height: 1.4; }
+    .pin-section { margin-bottom: 12px; }
+    .pin-link { font-size: 12px; color: #1a73e8; word-break: break-all; }
+    .pin-card.removed { opacity: 0.6; }
+    .sync-badge { display: inline-block; margin-bottom: 8px; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: bold; color: #fff; background: #1db954; }
+    .sync-badge.removed { background: #888; }
+    .shortlist-toggle { border: 1px solid #ccc; background: #fff; border-radius: 50%; width: 28px; height: 28px; cursor: pointer; font-size: 14px; vertical-align: top; }
+    .shortlist-toggle.saved { color: #E60023; border-color: #E60023; }
+    .shortlist-panel { position: fixed; top: 0; right: 0; width: 320px; max-width: 90vw; height: 100%; background: #fff; border-left: 1px solid #ddd; box-shadow: -4px 0 16px rgba(0,0,0,0.08); padding: 16px; box-sizing: border-box; overflow-y: auto; transform: translateX(100%); transition: transform 0.2s; z-index: 10; }
+    .shortlist-panel.open { transform: none; }
+    .shortlist-panel ul { list-style: none; padding: 0; }
+    .shortlist-panel li { display: flex; justify-content: space-between; gap: 8px; padding: 6px 0; border-bottom: 1px solid #f0f0f0; }
+    .shortlist-panel li button { border: none; background: none; cursor: pointer; color: #888; }
+    .shortlist-panel .shortlist-empty { color: #888; font-style: italic; border: none; }
+    .shortlist-actions { display: flex; flex-wrap: wrap; gap: 8px; }
+    .shortlist-actions button { padding: 6px 10px; border: 1px solid #ccc; border-radius: 8px; background: #fff; cursor: pointer; }
   </style>
 </head>
 <body>
-  <h1>${boardName} Summary</h1>
+  <h1>${escapeHtml(boardName)} Summary</h1>
   ${metadataHtml}
-  <table>
-    <thead>
-      <tr>
-        ${headers.map((h) => `<th>${h}</th>`).join("")}
-      </tr>
-    </thead>
-    <tbody>
-      ${tableRows}
-    </tbody>
-  </table>
+  <div class="toolbar">
+    <input type="search" id="search-input" placeholder="Search titles, descriptions and items">
+    <select id="filter-category"><option value="">All categories</option></select>
+    <select id="filter-color"><option value="">All colors</option></select>
+    <select id="filter-brand"><option value="">All brands</option></select>
+    <select id="filter-price"><option value="">All prices</option></select>
+    <select id="filter-status"><option value="">All pins</option></select>
+    <select id="sort-select">
+      <option value="board">Board order</option>
+      <option value="title">Title A-Z</option>
+      <option value="items">Most items</option>
+      <option value="price">Price band (low to high)</option>
+    </select>
+    <span class="count" id="result-count"></span>
+    <button type="button" id="shortlist-toggle-panel">🛒 Shortlist (<span id="shortlist-count">0</span>)</button>
+  </div>
+  <main class="pin-grid" id="pin-grid">
+    ${cards}
+  </main>
+  <aside class="shortlist-panel" id="shortlist-panel">
+    <h2 style="margin-top: 0;">Shortlist</h2>
+    <ul id="shortlist-items"></ul>
+    <div class="shortlist-actions">
+      <button type="button" id="shortlist-copy">Copy links</button>
+      <button type="button" id="shortlist-download">Download links</button>
+      <button type="button" id="shortlist-clear">Clear</button>
+    </div>
+  </aside>
+  <script type="application/json" id="pin-data">${pageData}</script>
+  <script nonce="${nonce}">(${shopPageScript.toString()})();</script>
 </body>
 </html>`;
 
+  return html;
+}
+
+function exportToHTML(data = [], boardName = "Pinterest", metadata = {}) {
+  if (!Array.isArray(data) || !data.length) {
+    console.warn("exportToHTML called with empty data.");
+    return;
+  }
+
   // Trigger download with .html extension
-  const safeFilename = boardName.replace(/[^a-z0-9]/gi, '_').toLowerCase() + "_summary.html";
-  triggerDownload(html, safeFilename, "text/html");
+  const safeFilename = getExportFileBase(boardName) + "_summary.html";
+  return triggerDownload(buildShopPageHTML(data, boardName, metadata), safeFilename, "text/html");
 }
 
 var globalScope = typeof self !== 'undefined' ? self : window;
 globalScope.exportToCSV = exportToCSV;
+globalScope.EXPORT_FORMATS = EXPORT_FORMATS;
+globalScope.EXPORT_SCHEMA_VERSION = EXPORT_SCHEMA_VERSION;
+globalScope.getExportFileBase = getExportFileBase;
+globalScope.buildItemRows = buildItemRows;
+globalScope.buildExportDocument = buildExportDocument;
+globalScope.exportItemsToCSV = exportItemsToCSV;
+globalScope.exportToJSON = exportToJSON;
+globalScope.exportToMarkdown = exportToMarkdown;
+globalScope.exportToXLSX = exportToXLSX;
+globalScope.exportToPDF = exportToPDF;
+globalScope.buildPinterestRows = buildPinterestRows;
+globalScope.validatePinterestRows = validatePinterestRows;
+globalScope.exportToPinterestCSV = exportToPinterestCSV;
+globalScope.EMBED_IMAGE_FORMATS = EMBED_IMAGE_FORMATS;
+globalScope.embedPinImages = embedPinImages;
+globalScope.buildShopPageHTML = buildShopPageHTML;
+globalScope.exportToArchive = exportToArchive;
+globalScope.exportPins = exportPins;
 globalScope.exportToHTML = exportToHTML;
@@ -0,0 +1,201 @@
+/**
+ * Followed boards: boards the background re-checks on a schedule, analyzing only the pins added since the last check.
+ * Each board and the global settings live in chrome.storage.local; background.js keeps one chrome.alarms alarm
+ * per followed board in sync with them. Boards are only written from the service worker (the popup goes through
+ * messages), one storage key per board, so a check and a popup edit never overwrite each other's board.
+ */
+const FOLLOWED_BOARD_KEY_PREFIX = "followedBoard:";
+// Before per-board keys, every board was stored in one map under this key
+const LEGACY_FOLLOWED_BOARDS_KEY = "followedBoards";
+const FOLLOW_SETTINGS_KEY = "followSettings";
+const FOLLOW_USAGE_KEY = "followUsage";
+const FOLLOW_ALARM_PREFIX = "followBoard:";
+
+// Check intervals offered in the popup, in hours
+const FOLLOW_INTERVAL_OPTIONS = [6, 12, 24, 72, 168];
+const DEFAULT_FOLLOW_INTERVAL_HOURS = 24;
+
+const DEFAULT_FOLLOW_SETTINGS = Object.freeze({
+    enabled: true,
+    // New pins analyzed per board per check; the rest wait for the next check
+    maxNewPinsPerCheck: 20,
+    // Pins analyzed per day across all followed boards, so scheduled checks can't use up the provider quota
+    dailyPinBudget: 100
+});
+
+/**
+ * @returns {Promise<typeof DEFAULT_FOLLOW_SETTINGS>}
+ */
+async function loadFollowSettings() {
+    const result = await chrome.storage.local.get(FOLLOW_SETTINGS_KEY);
+    return { ...DEFAULT_FOLLOW_SETTINGS, ...(result[FOLLOW_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * @param {Partial<typeof DEFAULT_FOLLOW_SETTINGS>} patch
+ * @returns {Promise<typeof DEFAULT_FOLLOW_SETTINGS>}
+ */
+async function saveFollowSettings(patch) {
+    const settings = { ...(await loadFollowSettings()), ...patch };
+    await chrome.storage.local.set({ [FOLLOW_SETTINGS_KEY]: settings });
+    return settings;
+}
+
+/**
+ * @param {string} boardUrl
+ * @returns {string}
+ */
+function getFollowedBoardKey(boardUrl) {
+    return `${FOLLOWED_BOARD_KEY_PREFIX}${boardUrl}`;
+}
+
+// Serializes read-modify-write cycles so a check and a popup edit of the same board don't clobber each other
+let followStoreLock = Promise.resolve();
+
+/**
+ * Runs a mutation against one stored board and writes the result back.
+ * @param {string} boardUrl
+ * @param {(board: Object|null) => Object|null} mutator Returns the entry to store, or null to remove it.
+ * @returns {Promise<Object|null>} The stored entry
+ */
+function withFollowedBoard(boardUrl, mutator) {
+    const key = getFollowedBoardKey(boardUrl);
+    const run = followStoreLock.then(async () => {
+        const result = await chrome.storage.local.get(key);
+        const board = mutator(result[key] || null);
+        if (board) {
+            await chrome.storage.local.set({ [key]: board });
+        } else {
+            await chrome.storage.local.remove(key);
+        }
+        return board;
+    });
+    // Keep the chain alive even if one mutation fails
+    followStoreLock = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Moves boards stored in the old single map to their own keys.
+ * @returns {Promise<void>}
+ */
+function migrateFollowedBoards() {
+    const run = followStoreLock.then(async () => {
+        const result = await chrome.storage.local.get(LEGACY_FOLLOWED_BOARDS_KEY);
+        const boards = result[LEGACY_FOLLOWED_BOARDS_KEY];
+        if (!boards) return;
+
+        const entries = {};
+        Object.values(boards).forEach((board) => {
+            entries[getFollowedBoardKey(board.boardUrl)] = board;
+        });
+        await chrome.storage.local.set(entries);
+        await chrome.storage.local.remove(LEGACY_FOLLOWED_BOARDS_KEY);
+    });
+    followStoreLock = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Lists followed boards, oldest follow first.
+ * @returns {Promise<Object[]>}
+ */
+async function listFollowedBoards() {
+    const stored = await chrome.storage.local.get(null);
+    return Object.keys(stored)
+        .filter(key => key.startsWith(FOLLOWED_BOARD_KEY_PREFIX))
+        .map(key => stored[key])
+        .sort((a, b) => a.followedAt - b.followedAt);
+}
+
+/**
+ * Starts following a board. Pins already on the board count as seen, so the first check only reports newer ones.
+ * @param {{boardUrl: string, boardName: string, intervalHours?: number, seenPinKeys?: string[]}} board
+ * @returns {Promise<Object>} The stored entry
+ */
+function followBoard({ boardUrl, boardName, intervalHours = DEFAULT_FOLLOW_INTERVAL_HOURS, seenPinKeys = [] }) {
+    return withFollowedBoard(boardUrl, (existing) => {
+        const now = Date.now();
+        return {
+            boardUrl,
+            boardName,
+            intervalHours,
+            seenPinKeys,
+            followedAt: existing?.followedAt || now,
+            lastCheckedAt: now,
+            lastResult: null,
+            lastError: null
+        };
+    });
+}
+
+/**
+ * Applies a shallow patch to a followed board.
+ * @param {string} boardUrl
+ * @param {Object} patch
+ * @returns {Promise<Object|null>} The updated entry, or null if the board is no longer followed
+ */
+function updateFollowedBoard(boardUrl, patch) {
+    return withFollowedBoard(boardUrl, board => (board ? { ...board, ...patch } : null));
+}
+
+/**
+ * @param {string} boardUrl
+ * @returns {Promise<void>}
+ */
+async function unfollowBoard(boardUrl) {
+    await withFollowedBoard(boardUrl, () => null);
+}
+
+/**
+ * @param {string} boardUrl
+ * @returns {string}
+ */
+function getFollowAlarmName(boardUrl) {
+    return `${FOLLOW_ALARM_PREFIX}${boardUrl}`;
+}
+
+async function readFollowUsage() {
+    const today = new Date().toISOString().slice(0, 10);
+    const result = await chrome.storage.local.get(FOLLOW_USAGE_KEY);
+    return result[FOLLOW_USAGE_KEY]?.day === today ? result[FOLLOW_USAGE_KEY] : { day: today, analyzed: 0 };
+}
+
+/**
+ * How many of `count` pins today's analysis budget still allows. Nothing is charged until chargeFollowBudget.
+ * @param {number} count Pins a check would like to analyze
+ * @param {number} dailyPinBudget
+ * @returns {Promise<number>} 0 once the budget is used up
+ */
+async function getFollowBudgetGrant(count, dailyPinBudget) {
+    const usage = await readFollowUsage();
+    return Math.max(0, Math.min(count, dailyPinBudget - usage.analyzed));
+}
+
+/**
+ * Counts pins a finished follow export analyzed against today's budget.
+ * @param {number} count
+ */
+async function chargeFollowBudget(count) {
+    const usage = await readFollowUsage();
+    usage.analyzed += count;
+    await chrome.storage.local.set({ [FOLLOW_USAGE_KEY]: usage });
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.FOLLOWED_BOARD_KEY_PREFIX = FOLLOWED_BOARD_KEY_PREFIX;
+globalScope.FOLLOW_SETTINGS_KEY = FOLLOW_SETTINGS_KEY;
+globalScope.FOLLOW_ALARM_PREFIX = FOLLOW_ALARM_PREFIX;
+globalScope.FOLLOW_INTERVAL_OPTIONS = FOLLOW_INTERVAL_OPTIONS;
+globalScope.DEFAULT_FOLLOW_INTERVAL_HOURS = DEFAULT_FOLLOW_INTERVAL_HOURS;
+globalScope.DEFAULT_FOLLOW_SETTINGS = DEFAULT_FOLLOW_SETTINGS;
+globalScope.loadFollowSettings = loadFollowSettings;
+globalScope.saveFollowSettings = saveFollowSettings;
+globalScope.migrateFollowedBoards = migrateFollowedBoards;
+globalScope.listFollowedBoards = listFollowedBoards;
+globalScope.followBoard = followBoard;
+globalScope.updateFollowedBoard = updateFollowedBoard;
+globalScope.unfollowBoard = unfollowBoard;
+globalScope.getFollowAlarmName = getFollowAlarmName;
+globalScope.getFollowBudgetGrant = getFollowBudgetGrant;
+globalScope.chargeFollowBudget = chargeFollowBudget;
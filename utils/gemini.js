@@ -5,6 +5,313 @@
 // Using Gemini 2.0 Flash-Lite for lowest cost and high speed
 const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-lite-001:generateContent";
 
+// Bump when the analysis prompt changes so cached results from the old prompt aren't reused
+const ANALYSIS_PROMPT_VERSION = "unified-v4";
+
+// Rough token costs used to budget requests before the real usage is known
+const GEMINI_IMAGE_TOKEN_ESTIMATE = 1100; // An 800px image is tiled into ~4 x 258 tokens
+const GEMINI_OUTPUT_TOKEN_ESTIMATE = 1024;
+
+// Every Gemini request goes through this one scheduler so all callers share the key's quota
+const geminiScheduler = createRequestScheduler();
+
+/**
+ * Estimates the total tokens a generateContent request will consume.
+ * @param {Object} payload
+ * @returns {number}
+ */
+function estimateGeminiTokens(payload) {
+    let tokens = GEMINI_OUTPUT_TOKEN_ESTIMATE;
+    (payload.contents || []).forEach((content) => {
+        (content.parts || []).forEach((part) => {
+            if (part.text) tokens += Math.ceil(part.text.length / 4);
+            if (part.inline_data) tokens += GEMINI_IMAGE_TOKEN_ESTIMATE;
+        });
+    });
+    return tokens;
+}
+
+/**
+ * Works out how long to wait after a 429, preferring the server's own hint.
+ * @param {Object} data The error response body
+ * @param {number} attempts Attempts made so far
+ * @returns {number} Milliseconds to wait
+ */
+function getRetryDelayMs(data, attempts) {
+    // Structured hint: { "@type": "...RetryInfo", "retryDelay": "23s" }
+    const retryInfo = data?.error?.details?.find(d => d["@type"]?.includes("RetryInfo"));
+    const structuredMatch = retryInfo?.retryDelay?.match(/([0-9.]+)s/);
+    // Free-text hint: "Please retry in 23.4 s"
+    const messageMatch = data?.error?.message?.match(/retry in\s+([0-9.]+)\s*s/);
+    const hintSeconds = structuredMatch?.[1] || messageMatch?.[1];
+
+    if (hintSeconds) {
+        return Math.ceil(parseFloat(hintSeconds) * 1000) + 1000; // Add 1s buffer
+    }
+    return 2000 * Math.pow(2, attempts); // Default exponential backoff
+}
+
+/**
+ * Sends a generateContent request through the shared scheduler, retrying rate limits and network errors.
+ * A server retry hint pauses every queued Gemini call, not just the one that hit the limit.
+ * @param {Object} payload The generateContent request body
+ * @param {string} apiKey
+ * @param {{label?: string, maxAttempts?: number}} [options]
+ * @returns {Promise<Object|null>} The parsed response body, or null if the call failed.
+ */
+async function callGemini(payload, apiKey, { label = "Gemini", maxAttempts = 4 } = {}) {
+    const body = JSON.stringify(payload);
+    const estimatedTokens = estimateGeminiTokens(payload);
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+        try {
+            const { response, data } = await geminiScheduler.schedule(async (reportTokens) => {
+                const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body
+                });
+                const data = await response.json();
+                reportTokens(data.usageMetadata?.totalTokenCount);
+                return { response, data };
+            }, { estimatedTokens });
+
+            if (!response.ok) {
+                // Handle Rate Limit (429) and temporary overload (503)
+                if (response.status === 429 || response.status === 503) {
+                    const waitMs = getRetryDelayMs(data, attempts);
+                    console.log(`${label} rate limited. Waiting ${waitMs}ms before retry...`);
+                    geminiScheduler.backoff(waitMs);
+                    attempts++;
+                    continue;
+                }
+
+                console.error(`${label} API Error`, JSON.stringify(data, null, 2));
+                return null;
+            }
+
+            return data;
+
+        } catch (error) {
+            console.error(`${label} Request Failed:`, error);
+            attempts++;
+            if (attempts >= maxAttempts) return null;
+            await new Promise(r => setTimeout(r, 2000)); // Basic wait on network error
+        }
+    }
+
+    return null;
+}
+
+// Response schemas (OpenAPI subset) sent as generationConfig.responseSchema and re-checked in JS
+const SHOPPING_LINK_SCHEMA = {
+    type: "ARRAY",
+    items: {
+        type: "OBJECT",
+        properties: {
+            item: { type: "STRING", description: "Specific product name" },
+            url: { type: "STRING", description: "Shopping search or redirect URL" }
+        },
+        required: ["item", "url"]
+    }
+};
+
+// Structured product attributes returned for every detected item (besides its name and URLs)
+const ITEM_CATEGORIES = ["top", "bottom", "dress", "outerwear", "shoes", "bag", "accessory", "jewelry", "other"];
+const ITEM_GENDERS = ["men", "women", "unisex", "kids"];
+const ITEM_PRICE_BANDS = ["budget", "mid-range", "premium", "luxury"];
+
+const ITEM_ATTRIBUTE_PROPERTIES = {
+    category: { type: "STRING", format: "enum", enum: ITEM_CATEGORIES },
+    brand: { type: "STRING", description: "Most likely brand or retailer" },
+    primary_color: { type: "STRING" },
+    secondary_color: { type: "STRING", nullable: true },
+    material: { type: "STRING", nullable: true },
+    pattern: { type: "STRING", nullable: true },
+    fit: { type: "STRING", nullable: true },
+    gender: { type: "STRING", format: "enum", enum: ITEM_GENDERS },
+    price_band: { type: "STRING", format: "enum", enum: ITEM_PRICE_BANDS },
+    confidence: { type: "NUMBER", minimum: 0, maximum: 1 },
+    box_2d: {
+        type: "ARRAY",
+        description: "Bounding box [ymin, xmin, ymax, xmax] normalized to 0-1000",
+        items: { type: "INTEGER", minimum: 0, maximum: 1000 },
+        minItems: 4,
+        maxItems: 4
+    }
+};
+
+const ITEM_ATTRIBUTES_PROMPT = `Also describe EACH item with these attributes:
+- "category": one of ${ITEM_CATEGORIES.join(", ")}.
+- "brand": the most likely brand (or the retailer you guessed for exact_url).
+- "primary_color" and "secondary_color": exact color names as seen in the image (secondary_color is null if the item is a single color).
+- "material" (e.g. linen, denim, suede), "pattern" (e.g. solid, striped, plaid) and "fit" (e.g. slim, relaxed, oversized); use null when not visible or not applicable.
+- "gender": one of ${ITEM_GENDERS.join(", ")}.
+- "price_band": one of ${ITEM_PRICE_BANDS.join(", ")}, based on the likely brand and visible quality.
+- "confidence": a number from 0 to 1 for how sure you are that the item is identified correctly.
+- "box_2d": the item's bounding box in the image as [ymin, xmin, ymax, xmax], normalized to 0-1000.`;
+
+/**
+ * Maps the model's snake_case attribute fields onto the camelCase shape stored on pin.shoppingLinks.
+ * @param {Object} record A validated analysis record
+ * @returns {Object} Attributes with missing values omitted
+ */
+function extractItemAttributes(record) {
+    const attributes = {
+        category: record.category,
+        brand: record.brand,
+        primaryColor: record.primary_color,
+        secondaryColor: record.secondary_color,
+        material: record.material,
+        pattern: record.pattern,
+        fit: record.fit,
+        gender: record.gender,
+        priceBand: record.price_band,
+        confidence: record.confidence
+    };
+    Object.keys(attributes).forEach((key) => {
+        if (attributes[key] === null || attributes[key] === undefined || attributes[key] === "") {
+            delete attributes[key];
+        }
+    });
+    return attributes;
+}
+
+/**
+ * Builds the response schema for the unified analysis call.
+ * @param {boolean} withPreferences Whether preferred_url is required
+ * @returns {Object}
+ */
+function buildAnalysisSchema(withPreferences) {
+    const required = ["item", "exact_url", "category", "primary_color", "gender", "price_band", "confidence", "box_2d"];
+    if (withPreferences) required.push("preferred_url");
+
+    return {
+        type: "ARRAY",
+        items: {
+            type: "OBJECT",
+            properties: {
+                item: { type: "STRING", description: "Specific marketing product name" },
+                exact_url: { type: "STRING", description: "DuckDuckGo redirect URL to the most likely product page" },
+                preferred_url: { type: "STRING", description: "DuckDuckGo redirect URL on the preferred brand's site" },
+                ...ITEM_ATTRIBUTE_PROPERTIES
+            },
+            required
+        }
+    };
+}
+
+/**
+ * Parses a JSON array response and splits it into schema-valid records and validation errors.
+ * @param {string} text
+ * @param {Object} schema An ARRAY schema
+ * @returns {{valid: Object[], errors: string[]}}
+ */
+function parseStructuredRecords(text, schema) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        return { valid: [], errors: [`Response is not valid JSON: ${e.message}`] };
+    }
+    return splitValidRecords(parsed, schema);
+}
+
+/**
+ * Splits an already-parsed response into schema-valid records and validation errors.
+ * @param {any} parsed
+ * @param {Object} schema An ARRAY schema
+ * @returns {{valid: Object[], errors: string[]}}
+ */
+function splitValidRecords(parsed, schema) {
+    if (!Array.isArray(parsed)) {
+        return { valid: [], errors: ["Response must be a JSON array."] };
+    }
+
+    const valid = [];
+    const errors = [];
+    parsed.forEach((record, i) => {
+        const recordErrors = validateAgainstSchema(record, schema.items, `$[${i}]`);
+        if (recordErrors.length) {
+            errors.push(...recordErrors);
+        } else {
+            valid.push(record);
+        }
+    });
+    return { valid, errors };
+}
+
+/**
+ * Calls Gemini in JSON mode with a declared response schema and validates the records it returns.
+ * If any record fails validation, the model is re-prompted once with the errors instead of dropping it.
+ * @param {Object} payload generateContent body (single user turn)
+ * @param {string} apiKey
+ * @param {Object} schema An ARRAY response schema
+ * @param {{label?: string, maxAttempts?: number}} [options]
+ * @returns {Promise<Object[]|null>} Valid records, or null if nothing usable came back.
+ */
+async function generateStructuredRecords(payload, apiKey, schema, options = {}) {
+    const label = options.label || "Gemini";
+    const structuredPayload = {
+        ...payload,
+        contents: payload.contents.map(content => ({ role: "user", ...content })),
+        generationConfig: {
+            ...payload.generationConfig,
+            responseMimeType: "application/json",
+            responseSchema: schema
+        }
+    };
+
+    const data = await callGemini(structuredPayload, apiKey, options);
+    const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) return null;
+
+    const first = parseStructuredRecords(text, schema);
+    if (!first.errors.length) {
+        return first.valid.length ? first.valid : null;
+    }
+
+    console.warn(`${label} returned records that failed validation, re-prompting once:`, first.errors);
+
+    const correctionPayload = {
+        ...structuredPayload,
+        contents: [
+            ...structuredPayload.contents,
+            { role: "model", parts: [{ text }] },
+            {
+                role: "user",
+                parts: [{
+                    text: `Your previous response did not match the required schema:\n- ${first.errors.join("\n- ")}\n` +
+                        "Return the complete corrected JSON array, including the records that were already valid."
+                }]
+            }
+        ]
+    };
+
+    const retryData = await callGemini(correctionPayload, apiKey, options);
+    const retryText = retryData?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (retryText) {
+        const second = parseStructuredRecords(retryText, schema);
+        if (second.errors.length) {
+            console.error(`${label} corrected response still failed validation:`, second.errors, retryText);
+        }
+        if (second.valid.length) {
+            return second.valid;
+        }
+    }
+
+    return first.valid.length ? first.valid : null;
+}
+
+/**
+ * Applies user-configured concurrency and quota limits to the shared Gemini scheduler.
+ * @param {Partial<typeof DEFAULT_SCHEDULER_LIMITS>} limits
+ */
+function configureGeminiLimits(limits) {
+    geminiScheduler.configure(limits);
+}
+
 /**
  * Identifies the main fashion/product item in an image using Gemini 2.0 Flash.
  * @param {string} imageUrl 
@@ -100,55 +407,13 @@ async function identifyItemWithGemini(imageUrl, apiKey) {
             }
         };
 
-        // 3. Call Gemini API with Retry Logic
-        let attempts = 0;
-        const maxAttempts = 3;
-
-        while (attempts < maxAttempts) {
-            try {
-                const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
-                    method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                    body: JSON.stringify(payload)
-                });
-
-                const data = await response.json();
-
-                if (!response.ok) {
-                    // Handle Rate Limit (429)
-                    if (response.status === 429) {
-                        console.log("Gemini Rate Limit Exceeded. Retrying...");
-                        // Try to parse "Please retry in X s" from message
-                        const waitTimeMatch = data.error?.message?.match(/retry in\s+([0-9.]+)\s*s/);
-                        let waitMs = 2000 * Math.pow(2, attempts); // Default exponential backoff
-
-                        if (waitTimeMatch && waitTimeMatch[1]) {
-                            waitMs = Math.ceil(parseFloat(waitTimeMatch[1]) * 1000) + 1000; // Add 1s buffer
-                        }
-
-                        console.log(`Waiting ${waitMs}ms before retry...`);
-                        await new Promise(r => setTimeout(r, waitMs));
-                        attempts++;
-                        continue;
-                    }
-
-                    console.error("Gemini API Error", JSON.stringify(data, null, 2));
-                    return null;
-                }
+        // 3. Call Gemini API (rate limiting and retries handled by callGemini)
+        const data = await callGemini(payload, apiKey, { label: "Gemini", maxAttempts: 3 });
+        if (!data) return null;
 
-                // 4. Extract Text
-                const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-                return text ? { text: text.trim(), base64Data } : null;
-
-            } catch (error) {
-                console.error("Gemini Request Failed:", error);
-                attempts++;
-                if (attempts >= maxAttempts) return null;
-                await new Promise(r => setTimeout(r, 2000)); // Basic wait on network error
-            }
-        }
-
-        return null;
+        // 4. Extract Text
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+        return text ? { text: text.trim(), base64Data } : null;
 
     } catch (error) {
         console.error("Gemini Identification Failed:", error);
@@ -173,7 +438,7 @@ CRITICAL RULES:
 1. Construct a standard Google Shopping search URL for the item (since you cannot do live web searches).
 2. Format MUST BE: https://www.google.com/search?tbm=shop&q=Gray+Zip-up+Sweater
 3. Replace spaces with + in the URL.
-4. Return ONLY a valid JSON array of objects, with "item" and "url" keys. No markdown, no conversational text.`;
+4. Return a JSON array of objects, with "item" and "url" keys.`;
 
         if (preferences) {
             promptText = `Analyze the outfit breakdown: "${itemDescription}". For EACH specific item, strictly apply these user preferences: ${preferences}.
@@ -186,7 +451,7 @@ CRITICAL RULES:
 6. Format MUST BE: https://duckduckgo.com/?q=%5Csite:bananarepublic.gap.com+Men%27s+Relaxed+Fit+Italian+Linen+Pleated+Trousers 
    (The %5C is the URL-encoded backslash which triggers the blind auto-redirect to the top hit).
 7. Replace spaces with + in the query string.
-8. Return ONLY a valid JSON array of objects, with "item" (the specific name you constructed) and "url" keys. No markdown, no conversational text.`;
+8. Return a JSON array of objects, with "item" (the specific name you constructed) and "url" keys.`;
         }
 
         const parts = [
@@ -210,66 +475,118 @@ CRITICAL RULES:
             }
         };
 
-        let attempts = 0;
-        const maxAttempts = 3;
-
-        while (attempts < maxAttempts) {
-            try {
-                const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
-                    method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                    body: JSON.stringify(payload)
-                });
+        return await generateStructuredRecords(payload, apiKey, SHOPPING_LINK_SCHEMA, { label: "Gemini Search", maxAttempts: 3 });
+    } catch (error) {
+        console.error("Gemini Shopping Search Failed:", error);
+        return null;
+    }
+}
 
-                const data = await response.json();
+/**
+ * Scales dimensions down (keeping aspect ratio) so the longest side is at most maxSize.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxSize
+ * @returns {{width: number, height: number}}
+ */
+function scaleToFit(width, height, maxSize) {
+    if (width > height) {
+        if (width > maxSize) {
+            height = Math.round(height * (maxSize / width));
+            width = maxSize;
+        }
+    } else {
+        if (height > maxSize) {
+            width = Math.round(width * (maxSize / height));
+            height = maxSize;
+        }
+    }
+    return { width: Math.max(1, width), height: Math.max(1, height) };
+}
 
-                if (!response.ok) {
-                    if (response.status === 429) {
-                        console.log("Gemini Search Rate Limit Exceeded. Retrying...");
-                        const waitTimeMatch = data.error?.message?.match(/retry in\s+([0-9.]+)\s*s/);
-                        let waitMs = 2000 * Math.pow(2, attempts);
+/**
+ * Converts a Blob to a base64 string without the data URL prefix (Service Worker safe).
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+async function blobToBase64(blob) {
+    if (typeof FileReader !== 'undefined') {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
 
-                        if (waitTimeMatch && waitTimeMatch[1]) {
-                            waitMs = Math.ceil(parseFloat(waitTimeMatch[1]) * 1000) + 1000;
-                        }
+    // Fallback for Service Worker where FileReader is absent
+    const buffer = await blob.arrayBuffer();
+    let binary = '';
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 8192;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return globalScope.btoa(binary);
+}
 
-                        console.log(`Waiting ${waitMs}ms before search retry...`);
-                        await new Promise(r => setTimeout(r, waitMs));
-                        attempts++;
-                        continue;
-                    }
+/**
+ * Cuts a small thumbnail out of an image for each bounding box, using OffscreenCanvas (Service Worker safe).
+ * @param {string} base64Data JPEG data as produced by downloadImageAsBase64
+ * @param {Array<number[]|null>} boxes Gemini-style [ymin, xmin, ymax, xmax] boxes normalized to 0-1000
+ * @param {number} [maxSize] Longest side of each thumbnail in pixels
+ * @returns {Promise<Array<string|null>>} JPEG data URLs aligned with `boxes` (null where a box is unusable)
+ */
+async function cropImageThumbnails(base64Data, boxes, maxSize = 160) {
+    if (!base64Data || !boxes?.some(Boolean)) {
+        return (boxes || []).map(() => null);
+    }
 
-                    console.error("Gemini Search API Error", data);
-                    return null;
-                }
+    try {
+        const source = await fetch(`data:image/jpeg;base64,${base64Data}`);
+        const bitmap = await createImageBitmap(await source.blob());
+
+        return await Promise.all(boxes.map(async (box) => {
+            if (!Array.isArray(box) || box.length !== 4) return null;
+
+            const [ymin, xmin, ymax, xmax] = box.map(v => Math.min(1000, Math.max(0, v)) / 1000);
+            const sx = Math.round(xmin * bitmap.width);
+            const sy = Math.round(ymin * bitmap.height);
+            const sw = Math.round((xmax - xmin) * bitmap.width);
+            const sh = Math.round((ymax - ymin) * bitmap.height);
+            if (sw < 4 || sh < 4) return null;
+
+            const { width, height } = scaleToFit(sw, sh, maxSize);
+            const canvas = new OffscreenCanvas(width, height);
+            canvas.getContext('2d').drawImage(bitmap, sx, sy, sw, sh, 0, 0, width, height);
+
+            const cropBlob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+            return `data:image/jpeg;base64,${await blobToBase64(cropBlob)}`;
+        }));
+    } catch (err) {
+        console.error("Failed to crop item thumbnails", err);
+        return boxes.map(() => null);
+    }
+}
 
-                const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-                if (text) {
-                    try {
-                        // Extract JSON from potential markdown blocks (```json ... ```)
-                        const jsonMatch = text.match(/\[[\s\S]*\]/);
-                        if (jsonMatch) {
-                            const parsed = JSON.parse(jsonMatch[0]);
-                            if (Array.isArray(parsed) && parsed.length > 0) {
-                                return parsed;
-                            }
-                        }
-                    } catch (e) {
-                        console.error("Failed to parse Gemini shopping JSON:", e, text);
-                    }
-                }
-                return null;
+/**
+ * Re-encodes a base64 JPEG at a smaller size (Service Worker safe).
+ * @param {string} base64Data JPEG data as produced by downloadImageAsBase64
+ * @param {number} maxSize Longest side in pixels
+ * @param {number} [quality] JPEG quality
+ * @returns {Promise<string|null>} Base64 JPEG data, or null if it could not be decoded
+ */
+async function resizeBase64Image(base64Data, maxSize, quality = 0.7) {
+    try {
+        const source = await fetch(`data:image/jpeg;base64,${base64Data}`);
+        const bitmap = await createImageBitmap(await source.blob());
+        const { width, height } = scaleToFit(bitmap.width, bitmap.height, maxSize);
 
-            } catch (error) {
-                console.error("Gemini Shopping Search Request Failed:", error);
-                attempts++;
-                if (attempts >= maxAttempts) return null;
-                await new Promise(r => setTimeout(r, 2000));
-            }
-        }
-        return null;
-    } catch (error) {
-        console.error("Gemini Shopping Search Failed:", error);
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+        return await blobToBase64(await canvas.convertToBlob({ type: 'image/jpeg', quality }));
+    } catch (err) {
+        console.error("Failed to resize image", err);
         return null;
     }
 }
@@ -311,21 +628,7 @@ async function downloadImageAsBase64(imageUrl) {
 
         // Service Worker compatible image resizing
         const bitmap = await createImageBitmap(blob);
-        let width = bitmap.width;
-        let height = bitmap.height;
-
-        const MAX_SIZE = 800;
-        if (width > height) {
-            if (width > MAX_SIZE) {
-                height = Math.round(height * (MAX_SIZE / width));
-                width = MAX_SIZE;
-            }
-        } else {
-            if (height > MAX_SIZE) {
-                width = Math.round(width * (MAX_SIZE / height));
-                height = MAX_SIZE;
-            }
-        }
+        const { width, height } = scaleToFit(bitmap.width, bitmap.height, 800);
 
         // Use OffscreenCanvas which is supported in Service Workers (no DOM)
         const canvas = new OffscreenCanvas(width, height);
@@ -333,26 +636,7 @@ async function downloadImageAsBase64(imageUrl) {
         ctx.drawImage(bitmap, 0, 0, width, height);
 
         const resizedBlob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
-
-        // Convert Blob to Base64 (Service Worker safe)
-        if (typeof FileReader !== 'undefined') {
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onloadend = () => resolve(reader.result.split(',')[1]);
-                reader.onerror = reject;
-                reader.readAsDataURL(resizedBlob);
-            });
-        } else {
-            // Fallback for Service Worker where FileReader is absent
-            const buffer = await resizedBlob.arrayBuffer();
-            let binary = '';
-            const bytes = new Uint8Array(buffer);
-            const chunkSize = 8192;
-            for (let i = 0; i < bytes.length; i += chunkSize) {
-                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
-            }
-            return globalScope.btoa(binary);
-        }
+        return await blobToBase64(resizedBlob);
 
     } catch (err) {
         console.error("Failed to download or convert image", err);
@@ -366,20 +650,22 @@ globalScope.analyzeImageAndGetShoppingLinks = analyzeImageAndGetShoppingLinks;
 globalScope.identifyItemWithGemini = identifyItemWithGemini;
 globalScope.searchAllShoppingUrlsWithGemini = searchAllShoppingUrlsWithGemini;
 globalScope.downloadImageAsBase64 = downloadImageAsBase64;
+globalScope.cropImageThumbnails = cropImageThumbnails;
+globalScope.resizeBase64Image = resizeBase64Image;
+globalScope.callGemini = callGemini;
+globalScope.generateStructuredRecords = generateStructuredRecords;
+globalScope.extractItemAttributes = extractItemAttributes;
+globalScope.buildAnalysisSchema = buildAnalysisSchema;
+globalScope.splitValidRecords = splitValidRecords;
+globalScope.configureGeminiLimits = configureGeminiLimits;
 
 /**
- * Unified function to identify items and generate both exact and preferred URLs in a single API call.
- * This drastically reduces API rate limit hits compared to making 3 separate calls per pin.
- * @param {string} base64Data The original image for visual context.
- * @param {string} apiKey The Gemini API Key
+ * Builds the unified analysis prompt. Shared by every vision provider so results are interchangeable.
  * @param {string} [preferences] Optional string specifying brands, gender, etc.
- * @returns {Promise<Array<{item: string, exact_url: string, preferred_url?: string}>|null>} 
+ * @returns {string}
  */
-async function analyzeImageAndGetShoppingLinks(base64Data, apiKey, preferences = "") {
-    if (!apiKey || !base64Data) return null;
-
-    try {
-        let promptText = `Analyze the provided fashion image. Identify each visible clothing item and accessory.
+function buildAnalysisPrompt(preferences = "") {
+    let promptText = `Analyze the provided fashion image. Identify each visible clothing item and accessory.
 For EACH item, you must generate two things:
 1. "item": A highly specific, realistic marketing product name constructed using actual VISIBLE attributes (e.g. "Men's Ribbed Supima Cotton Quarter-Zip Sweater" or "Men's Relaxed Fit Stone Pleated Trousers"). CRITICAL: Pay strict attention to the EXACT color of the item in the image (e.g. identify 'stone', 'khaki', 'navy', 'beige' correctly). Do NOT blindly default to 'black' or 'white'. DO NOT hallucinate details.
 2. "exact_url": 
@@ -388,10 +674,12 @@ For EACH item, you must generate two things:
    - Format MUST EXACTLY STRICTLY BE: https://duckduckgo.com/?q=%5Csite:brandname.com+Item+Name+Here
    - CRITICAL: DO NOT return any google.com/search URLs. You must use the duckduckgo.com format.
 
-Return ONLY a valid JSON array of objects with keys "item" and "exact_url". No markdown, no conversational text.`;
+${ITEM_ATTRIBUTES_PROMPT}
 
-        if (preferences) {
-            promptText = `Analyze the provided fashion image. Identify each visible clothing item and accessory.
+Return a JSON array of objects with keys "item", "exact_url" and the attribute keys above.`;
+
+    if (preferences) {
+        promptText = `Analyze the provided fashion image. Identify each visible clothing item and accessory.
 For EACH item, you must generate three things:
 1. "item": A highly specific, realistic marketing product name constructed using actual VISIBLE attributes (e.g. "Men's Ribbed Supima Cotton Quarter-Zip Sweater" or "Men's Relaxed Fit Stone Pleated Trousers"). CRITICAL: Pay strict attention to the EXACT color of the item in the image (e.g. identify 'stone', 'khaki', 'navy', 'beige' correctly). Do NOT blindly default to 'black' or 'white'. DO NOT hallucinate details.
 2. "exact_url": 
@@ -406,8 +694,36 @@ For EACH item, you must generate three things:
    - Ensure the Target Audience (if provided) is included in the specific name query.
    - Format MUST EXACTLY STRICTLY BE: https://duckduckgo.com/?q=%5Csite:bananarepublic.gap.com+Men%27s+Relaxed+Fit+Italian+Linen+Pleated+Trousers
 
-Return ONLY a valid JSON array of objects with keys "item", "exact_url", and "preferred_url". No markdown, no conversational text.`;
-        }
+${ITEM_ATTRIBUTES_PROMPT}
+
+Return a JSON array of objects with keys "item", "exact_url", "preferred_url" and the attribute keys above.`;
+    }
+
+    return promptText;
+}
+
+/**
+ * Identifies which prompt analyzeImageAndGetShoppingLinks will use, for cache keys.
+ * @param {string} [preferences]
+ * @returns {string}
+ */
+function getAnalysisPromptVariant(preferences = "") {
+    return `${ANALYSIS_PROMPT_VERSION}:${preferences ? "preferred" : "exact"}`;
+}
+
+/**
+ * Unified function to identify items and generate both exact and preferred URLs in a single API call.
+ * This drastically reduces API rate limit hits compared to making 3 separate calls per pin.
+ * @param {string} base64Data The original image for visual context.
+ * @param {string} apiKey The Gemini API Key
+ * @param {string} [preferences] Optional string specifying brands, gender, etc.
+ * @returns {Promise<Array<{item: string, exact_url: string, preferred_url?: string, category: string, primary_color: string, gender: string, price_band: string, confidence: number}>|null>}
+ */
+async function analyzeImageAndGetShoppingLinks(base64Data, apiKey, preferences = "") {
+    if (!apiKey || !base64Data) return null;
+
+    try {
+        const promptText = buildAnalysisPrompt(preferences);
 
         const parts = [
             { text: promptText },
@@ -426,58 +742,8 @@ Return ONLY a valid JSON array of objects with keys "item", "exact_url", and "pr
             }
         };
 
-        let attempts = 0;
-        const maxAttempts = 4;
-
-        while (attempts < maxAttempts) {
-            try {
-                const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
-                    method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                    body: JSON.stringify(payload)
-                });
-
-                const data = await response.json();
-
-                if (!response.ok) {
-                    if (response.status === 429) {
-                        console.log("Gemini Unified Search Rate Limit Exceeded. Retrying...");
-                        const waitMs = 3000 * Math.pow(2, attempts); // Standard exponential backoff
-
-                        console.log(`Waiting ${waitMs}ms before unified search retry...`);
-                        await new Promise(r => setTimeout(r, waitMs));
-                        attempts++;
-                        continue;
-                    }
-
-                    console.error("Gemini Unified Search API Error", JSON.stringify(data));
-                    return null;
-                }
-
-                const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-                if (text) {
-                    try {
-                        const jsonMatch = text.match(/\[[\s\S]*\]/);
-                        if (jsonMatch) {
-                            const parsed = JSON.parse(jsonMatch[0]);
-                            if (Array.isArray(parsed) && parsed.length > 0) {
-                                return parsed;
-                            }
-                        }
-                    } catch (e) {
-                        console.error("Failed to parse Gemini unified JSON:", e, text);
-                    }
-                }
-                return null;
-
-            } catch (error) {
-                console.error("Gemini Unified Search Request Failed:", error);
-                attempts++;
-                if (attempts >= maxAttempts) return null;
-                await new Promise(r => setTimeout(r, 2000));
-            }
-        }
-        return null;
+        const schema = buildAnalysisSchema(!!preferences);
+        return await generateStructuredRecords(payload, apiKey, schema, { label: "Gemini Unified Search", maxAttempts: 4 });
     } catch (error) {
         console.error("Gemini Unified Search Failed:", error);
         return null;
@@ -485,3 +751,5 @@ Return ONLY a valid JSON array of objects with keys "item", "exact_url", and "pr
 }
 
 globalScope.analyzeImageAndGetShoppingLinks = analyzeImageAndGetShoppingLinks;
+globalScope.getAnalysisPromptVariant = getAnalysisPromptVariant;
+globalScope.buildAnalysisPrompt = buildAnalysisPrompt;
@@ -0,0 +1,203 @@
+/**
+ * Library of finished export runs, stored in IndexedDB.
+ * Each run keeps the scraped pins and the analyzed results, so a past export can be re-downloaded in any
+ * format, or re-run with different preferences, without going back to the board.
+ */
+const EXPORT_HISTORY_STORE = "exportHistory";
+const MAX_EXPORT_HISTORY = 100;
+
+// Pins are matched across runs by permalink, the same key the popup uses for selections
+function getSnapshotKey(pin) {
+    return pin.link;
+}
+
+/**
+ * Copies job options without any API keys.
+ * @param {Object} options
+ * @returns {Object}
+ */
+function stripSecrets(options = {}) {
+    const { geminiApiKey, lykdatKey, ...rest } = options;
+    if (rest.provider?.settings) {
+        const settings = {};
+        Object.entries(rest.provider.settings).forEach(([id, { apiKey, ...providerSettings }]) => {
+            settings[id] = providerSettings;
+        });
+        rest.provider = { ...rest.provider, settings };
+    }
+    return rest;
+}
+
+/**
+ * Stores a finished export run, dropping the oldest runs beyond MAX_EXPORT_HISTORY.
+ * @param {Object} job The export job
+ * @param {Object[]} results Its processed pins, in board order
+ * @param {{providerChain: string[], lykdat: boolean, promptVersion: string}} analysisSetup How the pins were analyzed
+ * @returns {Promise<void>}
+ */
+async function recordExportRun(job, results, analysisSetup) {
+    const run = {
+        id: job.id,
+        boardName: job.boardName,
+        boardUrl: job.boardUrl || null,
+        createdAt: job.createdAt,
+        finishedAt: Date.now(),
+        options: stripSecrets(job.options),
+        pinCount: job.pins.length,
+        boardPinKeys: job.boardPinKeys || job.pins.map(getSnapshotKey),
+        sourcePins: job.pins,
+        results,
+        analysisSetup,
+        sync: job.sync || null
+    };
+
+    await withObjectStore(EXPORT_HISTORY_STORE, "readwrite", async (store) => {
+        store.put(run);
+
+        let excess = (await promisifyRequest(store.count())) - MAX_EXPORT_HISTORY;
+        if (excess <= 0) return;
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.index("createdAt").openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess <= 0) {
+                    resolve();
+                    return;
+                }
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    });
+}
+
+/**
+ * Lightweight view of a run for lists (no pin payloads).
+ * @param {Object} run
+ * @returns {Object}
+ */
+function summarizeExportRun(run) {
+    const { gender, itemType, brands, format, provider } = run.options || {};
+    return {
+        id: run.id,
+        boardName: run.boardName,
+        boardUrl: run.boardUrl,
+        createdAt: run.createdAt,
+        finishedAt: run.finishedAt,
+        pinCount: run.pinCount,
+        resultCount: run.results.length,
+        matchedCount: run.results.filter(pin => pin.lensResult).length,
+        preferences: { gender, itemType, brands },
+        format: format || "html",
+        providerId: provider?.id || null
+    };
+}
+
+/**
+ * Lists stored runs, newest first.
+ * @returns {Promise<Object[]>} Run summaries
+ */
+function listExportHistory() {
+    return withObjectStore(EXPORT_HISTORY_STORE, "readonly", (store) => new Promise((resolve, reject) => {
+        const runs = [];
+        const cursorRequest = store.index("createdAt").openCursor(null, "prev");
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) {
+                resolve(runs);
+                return;
+            }
+            runs.push(summarizeExportRun(cursor.value));
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    }));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>} The full run, including sourcePins and results
+ */
+async function getExportRun(id) {
+    const run = await withObjectStore(EXPORT_HISTORY_STORE, "readonly", (store) => promisifyRequest(store.get(id)));
+    return run || null;
+}
+
+/**
+ * @param {string} id
+ */
+function deleteExportRun(id) {
+    return withObjectStore(EXPORT_HISTORY_STORE, "readwrite", (store) => promisifyRequest(store.delete(id)));
+}
+
+/**
+ * Most recent stored run for a board, used as the snapshot incremental exports diff against.
+ * @param {string} boardUrl
+ * @returns {Promise<Object|null>} The full run
+ */
+async function getLatestExportRun(boardUrl) {
+    if (!boardUrl) return null;
+    const runs = await withObjectStore(EXPORT_HISTORY_STORE, "readonly",
+        (store) => promisifyRequest(store.index("boardUrl").getAll(boardUrl)));
+    return runs.reduce((latest, run) => (!latest || run.createdAt > latest.createdAt ? run : latest), null);
+}
+
+/**
+ * Whether a run was analyzed with the same preferences, providers and prompt, i.e. whether its results can be
+ * carried into a new export. Runs saved before the analysis setup was recorded never match.
+ * @param {Object} options Options of the export about to run
+ * @param {Object} run The previous run
+ * @param {{providerChain: string[], lykdat: boolean, promptVersion: string}} analysisSetup Setup of the export about to run
+ * @returns {boolean}
+ */
+function hasSameExportPreferences(options, run, analysisSetup) {
+    const normalize = (value) => String(value || "").trim().toLowerCase();
+    const previousSetup = run.analysisSetup;
+    return ["gender", "itemType", "brands"].every(key => normalize(options[key]) === normalize(run.options?.[key]))
+        && !!previousSetup
+        && previousSetup.providerChain.join(",") === analysisSetup.providerChain.join(",")
+        && previousSetup.lykdat === analysisSetup.lykdat
+        && previousSetup.promptVersion === analysisSetup.promptVersion;
+}
+
+/**
+ * Compares freshly scraped pins with a previous run of the same board.
+ * Pins a provider answered for in the previous run are carried over as-is; everything else, including pins every
+ * provider failed on, is new and needs analysis.
+ * @param {Object[]} pins Pins about to be exported
+ * @param {string[]|null} boardPinKeys Keys of every pin now on the board (defaults to `pins`)
+ * @param {Object} run The previous run
+ * @returns {{carried: Array<{index: number, pin: Object}>, newCount: number, removed: Object[]}}
+ *   carried: indexes into `pins` with the previous result; removed: previous results no longer on the board
+ */
+function diffAgainstExportRun(pins, boardPinKeys, run) {
+    const previousResults = new Map(run.results.map(pin => [getSnapshotKey(pin), pin]));
+    const boardKeys = new Set(boardPinKeys || pins.map(getSnapshotKey));
+
+    const carried = [];
+    pins.forEach((pin, index) => {
+        const previous = previousResults.get(getSnapshotKey(pin));
+        if (previous?.analysis?.provider) carried.push({ index, pin: previous });
+    });
+
+    const previousKeys = run.boardPinKeys || run.sourcePins.map(getSnapshotKey);
+    const removed = previousKeys
+        .filter(key => !boardKeys.has(key) && previousResults.has(key))
+        .map(key => previousResults.get(key));
+
+    return { carried, newCount: pins.length - carried.length, removed };
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.recordExportRun = recordExportRun;
+globalScope.summarizeExportRun = summarizeExportRun;
+globalScope.listExportHistory = listExportHistory;
+globalScope.getExportRun = getExportRun;
+globalScope.deleteExportRun = deleteExportRun;
+globalScope.getSnapshotKey = getSnapshotKey;
+globalScope.getLatestExportRun = getLatestExportRun;
+globalScope.hasSameExportPreferences = hasSameExportPreferences;
+globalScope.diffAgainstExportRun = diffAgainstExportRun;
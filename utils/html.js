@@ -0,0 +1,108 @@
+/**
+ * Escaping and URL allowlisting for the HTML we generate from untrusted data
+ * (scraped pin text, model output, third-party search results).
+ */
+
+const HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    "\"": "&quot;",
+    "'": "&#39;",
+    "`": "&#96;"
+};
+
+/**
+ * Escapes a value for use as HTML text or inside a quoted attribute.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return "";
+    return String(value).replace(/[&<>"'`]/g, (char) => HTML_ESCAPES[char]);
+}
+
+// Which hosts each kind of URL may point at. `null` hosts = any https host.
+const URL_POLICIES = {
+    // Pin images and videos are served from Pinterest's CDN, or bundled next to the page in an archive
+    media: { hosts: ["pinimg.com"], dataImages: true, localFiles: true },
+    // Pin permalinks, including country domains (pinterest.co.uk, ...) and short links
+    pin: { hosts: ["pinterest.com", "pin.it"], pattern: /(^|\.)pinterest\.[a-z]{2,3}(\.[a-z]{2})?$/ },
+    // Links written by the vision model: the prompts only ask for shopping searches, so anything else
+    // (e.g. a URL smuggled in through prompt injection in the pin text) is dropped
+    search: { hosts: ["google.com", "duckduckgo.com"] },
+    // Product pages returned by Lykdat visual search can be on any retailer's domain
+    retailer: { hosts: null },
+    // Product images from visual search and our own cropped thumbnails
+    image: { hosts: null, dataImages: true }
+};
+
+// Only inline images we produce ourselves (canvas JPEG/PNG output) are allowed as data URIs
+const SAFE_DATA_IMAGE = /^data:image\/(jpeg|png|webp);base64,[a-z0-9+/=]+$/i;
+
+// Files the ZIP archive export writes next to summary.html
+const SAFE_LOCAL_FILE = /^(images|videos)\/\d+\.[a-z0-9]+$/;
+
+/**
+ * Returns the URL if it is https (or a safe inline image) and its host is allowed for `kind`, otherwise "".
+ * @param {string} url
+ * @param {keyof typeof URL_POLICIES} kind
+ * @returns {string}
+ */
+function safeUrl(url, kind = "search") {
+    const policy = URL_POLICIES[kind] || URL_POLICIES.search;
+    if (typeof url !== "string" || !url) return "";
+
+    if (policy.dataImages && SAFE_DATA_IMAGE.test(url)) return url;
+    if (policy.localFiles && SAFE_LOCAL_FILE.test(url)) return url;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return "";
+    }
+
+    if (parsed.protocol !== "https:" || parsed.username || parsed.password) return "";
+
+    if (policy.hosts) {
+        const host = parsed.hostname.toLowerCase();
+        const allowed = policy.hosts.some((allowedHost) => host === allowedHost || host.endsWith(`.${allowedHost}`))
+            || (policy.pattern && policy.pattern.test(host));
+        if (!allowed) return "";
+    }
+    return parsed.href;
+}
+
+/**
+ * Random nonce for the inline script of a generated page.
+ * @returns {string}
+ */
+function createNonce() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Content-Security-Policy for generated pages: no network access besides https media, and only the nonce'd script runs.
+ * Inline styles stay allowed because the markup relies on style attributes.
+ * @param {string} nonce
+ * @returns {string}
+ */
+function buildExportCsp(nonce) {
+    return [
+        "default-src 'none'",
+        "img-src https: data: 'self' file:",
+        "media-src https: 'self' file:",
+        "style-src 'unsafe-inline'",
+        `script-src 'nonce-${nonce}'`,
+        "base-uri 'none'",
+        "form-action 'none'"
+    ].join("; ");
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.escapeHtml = escapeHtml;
+globalScope.safeUrl = safeUrl;
+globalScope.createNonce = createNonce;
+globalScope.buildExportCsp = buildExportCsp;
@@ -0,0 +1,108 @@
+/**
+ * Perceptual hashing for spotting repins of the same photo under different pin links.
+ * Uses a difference hash (dHash): the image is shrunk to 9x8 grayscale and each bit records whether a pixel
+ * is brighter than its right neighbour, so resized or recompressed copies end up a few bits apart.
+ */
+
+// Hashes at most this many bits apart (out of 64) count as the same image
+const NEAR_DUPLICATE_MAX_DISTANCE = 6;
+
+// Pinterest serves every size of an image under the same path; the smallest one is plenty for a 9x8 hash
+function toThumbnailUrl(url) {
+    return String(url || "").replace(/^(https:\/\/i\.pinimg\.com\/)[^/]+\//, "$1236x/");
+}
+
+/**
+ * Downloads an image and computes its 64-bit dHash.
+ * @param {string} imageUrl
+ * @returns {Promise<string>} 16 hex characters
+ */
+async function computeImageDHash(imageUrl) {
+    const response = await fetch(toThumbnailUrl(imageUrl));
+    if (!response.ok) throw new Error(`Image fetch failed: HTTP ${response.status}`);
+
+    const bitmap = await createImageBitmap(await response.blob());
+    const canvas = new OffscreenCanvas(9, 8);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, 9, 8);
+    bitmap.close();
+    const { data } = ctx.getImageData(0, 0, 9, 8);
+
+    const luminance = (x, y) => {
+        const offset = (y * 9 + x) * 4;
+        return data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114;
+    };
+
+    let hex = "";
+    for (let y = 0; y < 8; y++) {
+        let row = 0;
+        for (let x = 0; x < 8; x++) {
+            row = (row << 1) | (luminance(x, y) > luminance(x + 1, y) ? 1 : 0);
+        }
+        hex += row.toString(16).padStart(2, "0");
+    }
+    return hex;
+}
+
+/**
+ * Number of differing bits between two hashes from computeImageDHash.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i += 2) {
+        let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Groups near-identical images. Grouping is transitive: if A is close to B and B to C, all three share a group.
+ * @param {Array<{key: string, hash: string}>} entries In display order
+ * @param {number} [maxDistance]
+ * @returns {Map<string, string[]>} Key of the first entry of each group with more than one member -> all member keys, in order
+ */
+function groupNearDuplicates(entries, maxDistance = NEAR_DUPLICATE_MAX_DISTANCE) {
+    const parent = entries.map((_, index) => index);
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            if (hammingDistance(entries[i].hash, entries[j].hash) <= maxDistance) {
+                const rootI = find(i);
+                const rootJ = find(j);
+                // The earlier entry stays the root, so it represents the group
+                if (rootI !== rootJ) parent[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+            }
+        }
+    }
+
+    const groups = new Map();
+    entries.forEach((entry, index) => {
+        const rootKey = entries[find(index)].key;
+        if (!groups.has(rootKey)) groups.set(rootKey, []);
+        groups.get(rootKey).push(entry.key);
+    });
+    groups.forEach((members, rootKey) => {
+        if (members.length < 2) groups.delete(rootKey);
+    });
+    return groups;
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.NEAR_DUPLICATE_MAX_DISTANCE = NEAR_DUPLICATE_MAX_DISTANCE;
+globalScope.computeImageDHash = computeImageDHash;
+globalScope.hammingDistance = hammingDistance;
+globalScope.groupNearDuplicates = groupNearDuplicates;
@@ -0,0 +1,61 @@
+/**
+ * Keeps the resized JPEGs the analysis downloads (downloadImageAsBase64), keyed by pin image URL,
+ * so offline-safe exports can embed them without fetching every image again.
+ */
+const PIN_IMAGE_STORE = "pinImages";
+// Roughly 100 KB each at 800px
+const PIN_IMAGE_MAX_ENTRIES = 500;
+
+/**
+ * @param {string} imageUrl
+ * @returns {Promise<string|null>} Base64 JPEG data, or null if it isn't stored
+ */
+async function getPinImage(imageUrl) {
+    if (!imageUrl) return null;
+    try {
+        const entry = await withObjectStore(PIN_IMAGE_STORE, "readonly", (store) => promisifyRequest(store.get(imageUrl)));
+        return entry?.base64Data || null;
+    } catch (err) {
+        console.warn("Pin image read failed", err);
+        return null;
+    }
+}
+
+/**
+ * Stores a pin's resized JPEG and drops the oldest ones beyond the size cap.
+ * @param {string} imageUrl
+ * @param {string} base64Data
+ */
+async function putPinImage(imageUrl, base64Data) {
+    if (!imageUrl || !base64Data) return;
+
+    try {
+        await withObjectStore(PIN_IMAGE_STORE, "readwrite", async (store) => {
+            store.put({ imageUrl, base64Data, storedAt: Date.now() });
+
+            let excess = (await promisifyRequest(store.count())) - PIN_IMAGE_MAX_ENTRIES;
+            if (excess <= 0) return;
+
+            await new Promise((resolve, reject) => {
+                const cursorRequest = store.index("storedAt").openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || excess <= 0) {
+                        resolve();
+                        return;
+                    }
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            });
+        });
+    } catch (err) {
+        console.warn("Pin image write failed", err);
+    }
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.getPinImage = getPinImage;
+globalScope.putPinImage = putPinImage;
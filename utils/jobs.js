@@ -0,0 +1,290 @@
+/**
+ * Persistent export job queue.
+ * The MV3 service worker can be suspended at any time, so every job checkpoints
+ * after each pin and can be resumed from the last completed pin when the worker wakes up.
+ * chrome.storage.local holds each job's status, options and counters (the popup watches it); the pins and
+ * their processed results live in IndexedDB, so a checkpoint only writes the one pin it adds.
+ */
+const EXPORT_JOBS_KEY = "exportJobs";
+const JOB_PAYLOAD_STORE = "exportJobPayloads";
+const JOB_RESULTS_STORE = "exportJobResults";
+
+// How many finished (done/failed/cancelled) jobs to keep around for display. Failed jobs can still be resumed,
+// so they only count once the user has dismissed them.
+const MAX_FINISHED_JOBS = 10;
+
+const JOB_STATUS = Object.freeze({
+    QUEUED: "queued",
+    RUNNING: "running",
+    PAUSED: "paused",
+    FAILED: "failed",
+    DONE: "done",
+    CANCELLED: "cancelled"
+});
+
+// Serializes read-modify-write cycles so concurrent updates don't clobber each other
+let jobStoreLock = Promise.resolve();
+
+async function readJobs() {
+    const result = await chrome.storage.local.get(EXPORT_JOBS_KEY);
+    return result[EXPORT_JOBS_KEY] || {};
+}
+
+/**
+ * Runs a mutation against the stored job map and writes the result back.
+ * @param {(jobs: Object<string, Object>) => any} mutator Mutates the map in place; its return value is passed through.
+ * @returns {Promise<any>}
+ */
+function withJobStore(mutator) {
+    const run = jobStoreLock.then(async () => {
+        const jobs = await readJobs();
+        const before = Object.keys(jobs);
+        const result = mutator(jobs);
+        await chrome.storage.local.set({ [EXPORT_JOBS_KEY]: jobs });
+
+        const removed = before.filter(id => !jobs[id]);
+        if (removed.length) {
+            deleteJobPayloads(removed).catch(err => console.warn("Failed to delete export job data", err));
+        }
+        return result;
+    });
+    // Keep the chain alive even if one mutation fails
+    jobStoreLock = run.catch(() => { });
+    return run;
+}
+
+function isFinishedStatus(status) {
+    return status === JOB_STATUS.DONE || status === JOB_STATUS.FAILED || status === JOB_STATUS.CANCELLED;
+}
+
+/**
+ * @param {string[]} jobIds
+ */
+async function deleteJobPayloads(jobIds) {
+    await withObjectStore(JOB_PAYLOAD_STORE, "readwrite", (store) => {
+        jobIds.forEach(id => store.delete(id));
+    });
+    await withObjectStore(JOB_RESULTS_STORE, "readwrite", (store) => {
+        jobIds.forEach(id => store.delete(IDBKeyRange.bound([id, -Infinity], [id, Infinity])));
+    });
+}
+
+function pruneFinishedJobs(jobs) {
+    const finished = Object.values(jobs)
+        .filter(job => isFinishedStatus(job.status) && (job.status !== JOB_STATUS.FAILED || job.dismissed))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+
+    finished.slice(MAX_FINISHED_JOBS).forEach(job => {
+        delete jobs[job.id];
+    });
+}
+
+/**
+ * Queues a new export job for the given START_EXPORT payload.
+ * @param {Object} payload The popup's export payload (selected pins + preferences + keys).
+ * @returns {Promise<Object>} The stored job.
+ */
+async function createExportJob(payload) {
+    const { selected = [], boardName = "Pinterest", boardUrl = null, boardPinKeys = null, ...options } = payload;
+    const now = Date.now();
+    const job = {
+        id: `job_${now}_${Math.random().toString(36).slice(2, 8)}`,
+        status: JOB_STATUS.QUEUED,
+        boardName,
+        boardUrl,
+        boardPinKeys, // Every pin on the board when it was scraped, for "new since last export" diffs
+        options,
+        total: selected.length,
+        completed: 0,
+        exportable: 0, // Processed pins that weren't skipped
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await withObjectStore(JOB_PAYLOAD_STORE, "readwrite", (store) => {
+        store.put({ jobId: job.id, pins: selected, removedPins: [] });
+    });
+    await withJobStore((jobs) => {
+        jobs[job.id] = job;
+        pruneFinishedJobs(jobs);
+    });
+    return job;
+}
+
+/**
+ * @param {string} jobId
+ * @returns {Promise<Object|null>}
+ */
+async function getExportJob(jobId) {
+    const jobs = await readJobs();
+    return jobs[jobId] || null;
+}
+
+/**
+ * Lists all stored jobs, oldest first.
+ * @returns {Promise<Object[]>}
+ */
+async function listExportJobs() {
+    const jobs = await readJobs();
+    return Object.values(jobs).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Applies a shallow patch to a stored job.
+ * @param {string} jobId
+ * @param {Object} patch
+ * @returns {Promise<Object|null>} The updated job, or null if it no longer exists.
+ */
+async function updateExportJob(jobId, patch) {
+    const updated = await withJobStore((jobs) => {
+        const job = jobs[jobId];
+        if (!job) return null;
+
+        Object.assign(job, patch, { updatedAt: Date.now() });
+        if (isFinishedStatus(job.status)) {
+            pruneFinishedJobs(jobs);
+        }
+        // Don't keep API keys around once a job can no longer run. Failed jobs keep them because they can be resumed.
+        if (job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.CANCELLED) {
+            delete job.options.geminiApiKey;
+            delete job.options.lykdatKey;
+            Object.values(job.options.provider?.settings || {}).forEach((settings) => {
+                delete settings.apiKey;
+            });
+        }
+        return job;
+    });
+    // A finished export's results live on in its history run; only unfinished jobs can still export them
+    if (updated?.status === JOB_STATUS.DONE) {
+        deleteJobPayloads([jobId]).catch(err => console.warn("Failed to delete export job data", err));
+    }
+    return updated;
+}
+
+/**
+ * Checkpoints processed pins so they survive a worker restart.
+ * @param {string} jobId
+ * @param {Array<[number, Object]>} entries [index within the job's pins, processed pin] pairs
+ * @returns {Promise<Object|null>} The updated job, or null if it no longer exists.
+ */
+async function recordProcessedPins(jobId, entries) {
+    await withObjectStore(JOB_RESULTS_STORE, "readwrite", (store) => {
+        entries.forEach(([index, pin]) => store.put({ jobId, index, pin }));
+    });
+    const updated = await withJobStore((jobs) => {
+        const job = jobs[jobId];
+        if (!job) return null;
+
+        job.completed += entries.length;
+        job.exportable += entries.filter(([, pin]) => !pin.skipped).length;
+        job.updatedAt = Date.now();
+        return job;
+    });
+    if (!updated) {
+        await deleteJobPayloads([jobId]);
+    }
+    return updated;
+}
+
+/**
+ * @param {string} jobId
+ * @param {number} index Index of the pin within the job's pins
+ * @param {Object} pin The processed pin
+ * @returns {Promise<Object|null>}
+ */
+function recordProcessedPin(jobId, index, pin) {
+    return recordProcessedPins(jobId, [[index, pin]]);
+}
+
+/**
+ * Loads a job's pins and results from IndexedDB.
+ * @param {Object} job A job record
+ * @returns {Promise<Object>} The job plus `pins`, `processed` (pin index -> processed pin) and the removed pins in `sync`
+ */
+async function loadExportJobPayload(job) {
+    const payload = await withObjectStore(JOB_PAYLOAD_STORE, "readonly", (store) => promisifyRequest(store.get(job.id)));
+    const results = await withObjectStore(JOB_RESULTS_STORE, "readonly",
+        (store) => promisifyRequest(store.index("jobId").getAll(job.id)));
+
+    const processed = {};
+    results.forEach(({ index, pin }) => {
+        processed[index] = pin;
+    });
+    return {
+        ...job,
+        pins: payload?.pins || [],
+        processed,
+        sync: job.sync ? { ...job.sync, removedPins: payload?.removedPins || [] } : job.sync
+    };
+}
+
+/**
+ * Stores the pins an incremental job lists as removed from the board.
+ * @param {string} jobId
+ * @param {Object[]} removedPins
+ */
+function saveRemovedPins(jobId, removedPins) {
+    return withObjectStore(JOB_PAYLOAD_STORE, "readwrite", async (store) => {
+        const payload = await promisifyRequest(store.get(jobId));
+        if (payload) store.put({ ...payload, removedPins });
+    });
+}
+
+/**
+ * Returns the processed pins of a loaded job (see loadExportJobPayload) in their original board order.
+ * @param {Object} job
+ * @returns {Object[]}
+ */
+function getProcessedPins(job) {
+    return Object.keys(job.processed || {})
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(index => job.processed[index]);
+}
+
+/**
+ * Builds a lightweight view of a job for the popup (no pin payloads or API keys).
+ * @param {Object} job
+ * @returns {Object}
+ */
+function summarizeExportJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        boardName: job.boardName,
+        total: job.total,
+        completed: job.completed,
+        exportable: job.exportable,
+        error: job.error,
+        dismissed: !!job.dismissed,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+/**
+ * Picks the next job the worker should run: an interrupted running job first, then the oldest queued one.
+ * @returns {Promise<Object|null>}
+ */
+async function getNextRunnableJob() {
+    const jobs = await listExportJobs();
+    return jobs.find(job => job.status === JOB_STATUS.RUNNING)
+        || jobs.find(job => job.status === JOB_STATUS.QUEUED)
+        || null;
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.JOB_STATUS = JOB_STATUS;
+globalScope.createExportJob = createExportJob;
+globalScope.getExportJob = getExportJob;
+globalScope.listExportJobs = listExportJobs;
+globalScope.updateExportJob = updateExportJob;
+globalScope.recordProcessedPin = recordProcessedPin;
+globalScope.recordProcessedPins = recordProcessedPins;
+globalScope.loadExportJobPayload = loadExportJobPayload;
+globalScope.saveRemovedPins = saveRemovedPins;
+globalScope.getProcessedPins = getProcessedPins;
+globalScope.summarizeExportJob = summarizeExportJob;
+globalScope.getNextRunnableJob = getNextRunnableJob;
+globalScope.isFinishedStatus = isFinishedStatus;
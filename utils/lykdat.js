@@ -0,0 +1,97 @@
+/**
+ * Client for the Lykdat visual search API (image-to-product search).
+ * Returns real product listings (retailer, price, image) that look like the pin image.
+ */
+const LYKDAT_SEARCH_URL = "https://cloudapi.lykdat.com/v1/global/search";
+const LYKDAT_MAX_MATCHES = 6;
+
+const lykdatScheduler = createRequestScheduler({ maxConcurrent: 2, requestsPerMinute: 30 });
+
+/**
+ * Normalizes a Lykdat product into the shape stored on pin.shoppingLinks.
+ * @param {Object} product
+ * @returns {Object|null}
+ */
+function toVisualMatch(product) {
+    if (!product?.url || !product?.name) return null;
+
+    const price = product.reduced_price || product.price;
+    return {
+        source: "lykdat",
+        item: product.name,
+        url: product.url,
+        retailer: product.vendor || product.brand_name || null,
+        brand: product.brand_name || null,
+        price: price ? String(price) : null,
+        currency: product.currency || null,
+        image: product.matching_image || product.images?.[0] || null,
+        score: typeof product.score === "number" ? product.score : null
+    };
+}
+
+/**
+ * Searches Lykdat for products visually similar to an image.
+ * Uploads the resized JPEG when we have it, otherwise lets Lykdat fetch the image URL.
+ * @param {{imageUrl: string, base64Data?: string|null}} image
+ * @param {string} apiKey
+ * @returns {Promise<Object[]|null>} Up to LYKDAT_MAX_MATCHES matches, best first, or null if the search failed.
+ */
+async function searchLykdat({ imageUrl, base64Data = null }, apiKey) {
+    if (!apiKey || (!imageUrl && !base64Data)) return null;
+
+    let attempts = 0;
+    const maxAttempts = 3;
+
+    while (attempts < maxAttempts) {
+        try {
+            const form = new FormData();
+            form.append("api_key", apiKey);
+            if (base64Data) {
+                const imageResp = await fetch(`data:image/jpeg;base64,${base64Data}`);
+                form.append("image", await imageResp.blob(), "pin.jpg");
+            } else {
+                form.append("image_url", imageUrl);
+            }
+
+            const { response, data } = await lykdatScheduler.schedule(async () => {
+                const response = await fetch(LYKDAT_SEARCH_URL, { method: "POST", body: form });
+                const data = await response.json();
+                return { response, data };
+            });
+
+            if (!response.ok) {
+                if (response.status === 429) {
+                    const waitMs = 2000 * Math.pow(2, attempts);
+                    console.log(`Lykdat rate limited. Waiting ${waitMs}ms before retry...`);
+                    lykdatScheduler.backoff(waitMs);
+                    attempts++;
+                    continue;
+                }
+
+                console.error("Lykdat API Error", JSON.stringify(data));
+                return null;
+            }
+
+            const products = (data.data?.result_groups || [])
+                .flatMap(group => group.similar_products || []);
+
+            const seen = new Set();
+            return products
+                .map(toVisualMatch)
+                .filter(match => match && !seen.has(match.url) && seen.add(match.url))
+                .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+                .slice(0, LYKDAT_MAX_MATCHES);
+
+        } catch (error) {
+            console.error("Lykdat Request Failed:", error);
+            attempts++;
+            if (attempts >= maxAttempts) return null;
+            await new Promise(r => setTimeout(r, 2000));
+        }
+    }
+
+    return null;
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.searchLykdat = searchLykdat;
@@ -0,0 +1,239 @@
+/**
+ * Minimal PDF writer for the printable lookbook export.
+ * Supports Helvetica text (WinAnsi, so characters outside Latin-1 are approximated), JPEG images and link annotations.
+ * Coordinates are in points with the origin at the top-left of the page.
+ */
+
+// A4 portrait
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+
+// Common typographic characters that have a close Latin-1 equivalent
+const PDF_CHAR_REPLACEMENTS = {
+    "‘": "'", "’": "'", "“": "\"", "”": "\"",
+    "–": "-", "—": "-", "•": "*", "…": "...", "›": ">"
+};
+
+/**
+ * Converts text to an escaped PDF string literal body in Latin-1.
+ * @param {string} text
+ * @returns {string}
+ */
+function toPdfText(text) {
+    return Array.from(String(text ?? ""))
+        .map((char) => {
+            if (PDF_CHAR_REPLACEMENTS[char]) return PDF_CHAR_REPLACEMENTS[char];
+            const code = char.charCodeAt(0);
+            if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) return char;
+            return code === 0x09 || code === 0x0A ? " " : "";
+        })
+        .join("")
+        .replace(/\\/g, "\\\\")
+        .replace(/\(/g, "\\(")
+        .replace(/\)/g, "\\)");
+}
+
+/**
+ * Splits text into lines that fit `maxWidth` points, using an average Helvetica glyph width.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} size Font size
+ * @returns {string[]}
+ */
+function wrapPdfText(text, maxWidth, size) {
+    const maxChars = Math.max(8, Math.floor(maxWidth / (size * 0.5)));
+    const lines = [];
+    String(text ?? "").split(/\n/).forEach((paragraph) => {
+        let line = "";
+        paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+            // Very long words (URLs) are hard-wrapped
+            while (word.length > maxChars) {
+                if (line) {
+                    lines.push(line);
+                    line = "";
+                }
+                lines.push(word.slice(0, maxChars));
+                word = word.slice(maxChars);
+            }
+            if (!line) {
+                line = word;
+            } else if ((line + " " + word).length <= maxChars) {
+                line += " " + word;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        });
+        if (line) lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Reads the pixel size of a baseline or progressive JPEG from its SOF marker.
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number}|null}
+ */
+function readJpegSize(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xFF) return null;
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return {
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+            };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+function latin1Bytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
+
+/**
+ * Creates a PDF document builder.
+ * @returns {{addPage: Function, build: () => Uint8Array}}
+ */
+function createPdfDocument() {
+    const pages = [];
+
+    return {
+        /**
+         * Adds a page and returns its drawing API.
+         */
+        addPage() {
+            const page = { ops: [], images: [], links: [] };
+            pages.push(page);
+
+            return {
+                width: PDF_PAGE_WIDTH,
+                height: PDF_PAGE_HEIGHT,
+                /**
+                 * @param {string} text
+                 * @param {number} x
+                 * @param {number} y Baseline, from the top of the page
+                 * @param {{size?: number, bold?: boolean, color?: number[]}} [options] color is [r, g, b] in 0-1
+                 */
+                text(text, x, y, { size = 11, bold = false, color = [0, 0, 0] } = {}) {
+                    const font = bold ? "F2" : "F1";
+                    page.ops.push(`BT ${color.join(" ")} rg /${font} ${size} Tf ${x} ${PDF_PAGE_HEIGHT - y} Td (${toPdfText(text)}) Tj ET`);
+                },
+                /**
+                 * @param {{bytes: Uint8Array, width: number, height: number}} jpeg
+                 * @param {number} x
+                 * @param {number} y Top edge, from the top of the page
+                 * @param {number} width
+                 * @param {number} height
+                 */
+                image(jpeg, x, y, width, height) {
+                    const name = `Im${page.images.length + 1}`;
+                    page.images.push({ name, jpeg });
+                    page.ops.push(`q ${width} 0 0 ${height} ${x} ${PDF_PAGE_HEIGHT - y - height} cm /${name} Do Q`);
+                },
+                /**
+                 * Makes a rectangle clickable.
+                 * @param {number} x
+                 * @param {number} y Top edge, from the top of the page
+                 * @param {number} width
+                 * @param {number} height
+                 * @param {string} url
+                 */
+                link(x, y, width, height, url) {
+                    page.links.push({ rect: [x, PDF_PAGE_HEIGHT - y - height, x + width, PDF_PAGE_HEIGHT - y], url });
+                }
+            };
+        },
+
+        /**
+         * Serializes the document.
+         * @returns {Uint8Array}
+         */
+        build() {
+            // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, then per-page objects
+            const objects = [];
+            const addObject = (parts) => {
+                objects.push(parts);
+                return objects.length;
+            };
+
+            addObject(["<< /Type /Catalog /Pages 2 0 R >>"]);
+            addObject(null); // Page tree, filled in once the page ids are known
+            addObject(["<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"]);
+            addObject(["<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"]);
+
+            const pageIds = pages.map((page) => {
+                const imageRefs = page.images.map(({ name, jpeg }) => {
+                    const id = addObject([
+                        `<< /Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.bytes.length} >>\nstream\n`,
+                        jpeg.bytes,
+                        "\nendstream"
+                    ]);
+                    return `/${name} ${id} 0 R`;
+                });
+
+                const linkIds = page.links.map(({ rect, url }) => addObject([
+                    `<< /Type /Annot /Subtype /Link /Rect [${rect.join(" ")}] /Border [0 0 0] /A << /S /URI /URI (${toPdfText(url)}) >> >>`
+                ]));
+
+                const content = page.ops.join("\n");
+                const contentId = addObject([`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]);
+
+                const annots = linkIds.length ? ` /Annots [${linkIds.map(id => `${id} 0 R`).join(" ")}]` : "";
+                return addObject([
+                    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+                    `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${imageRefs.join(" ")} >> >> ` +
+                    `/Contents ${contentId} 0 R${annots} >>`
+                ]);
+            });
+
+            objects[1] = [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`];
+
+            const chunks = [latin1Bytes("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n")];
+            let length = chunks[0].length;
+            const offsets = [];
+
+            objects.forEach((parts, index) => {
+                offsets.push(length);
+                [`${index + 1} 0 obj\n`, ...parts, "\nendobj\n"].forEach((part) => {
+                    const bytes = typeof part === "string" ? latin1Bytes(part) : part;
+                    chunks.push(bytes);
+                    length += bytes.length;
+                });
+            });
+
+            const xref = [
+                "xref",
+                `0 ${objects.length + 1}`,
+                "0000000000 65535 f ",
+                ...offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n `),
+                "trailer",
+                `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+                "startxref",
+                String(length),
+                "%%EOF"
+            ].join("\n");
+            chunks.push(latin1Bytes(xref));
+
+            return concatBytes(chunks);
+        }
+    };
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.PDF_PAGE_WIDTH = PDF_PAGE_WIDTH;
+globalScope.PDF_PAGE_HEIGHT = PDF_PAGE_HEIGHT;
+globalScope.wrapPdfText = wrapPdfText;
+globalScope.readJpegSize = readJpegSize;
+globalScope.createPdfDocument = createPdfDocument;
@@ -0,0 +1,335 @@
+/**
+ * Pluggable vision providers for the export pipeline.
+ *
+ * Every provider implements the same interface:
+ *   id, label
+ *   needsImageData        - whether the pipeline must download the pin image as base64 first
+ *   supportsShoppingLinks - whether getShoppingLinks returns analysis records (item, exact_url, ...)
+ *   isConfigured(settings)
+ *   getCacheVariant(settings, preferences) - identifies the model + prompt for the analysis cache
+ *   identify(context)          -> Promise<{text: string}|null>
+ *   getShoppingLinks(context)  -> Promise<Object[]|null>  (same records as analyzeImageAndGetShoppingLinks)
+ *
+ * `context` is { pin, boardName, base64Data, preferences, settings }.
+ */
+const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_OPENAI_MODEL = "gpt-4o-mini";
+const DEFAULT_OLLAMA_BASE_URL = "http://localhost:11434";
+const DEFAULT_OLLAMA_MODEL = "llava";
+
+const VISION_PROVIDERS = {};
+
+// Non-Gemini providers get their own schedulers; Gemini keeps the shared one in gemini.js
+const providerSchedulers = {
+    openai: createRequestScheduler(),
+    ollama: createRequestScheduler({ maxConcurrent: 1 }), // Local models usually serve one request at a time
+    // One scraping window at a time and at most 24 a minute. The bucket starts full, so this caps the rate rather than
+    // spacing calls; Lens-first jobs get their pause between pins from DELAY_BETWEEN_ITEMS in background.js
+    lens: createRequestScheduler({ maxConcurrent: 1, requestsPerMinute: 24 })
+};
+
+/**
+ * @param {Object} provider
+ */
+function registerVisionProvider(provider) {
+    VISION_PROVIDERS[provider.id] = provider;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getVisionProvider(id) {
+    return VISION_PROVIDERS[id] || null;
+}
+
+/**
+ * @returns {Object[]} All registered providers, in registration order
+ */
+function listVisionProviders() {
+    return Object.values(VISION_PROVIDERS);
+}
+
+/**
+ * Applies the user's quota settings to every provider's scheduler.
+ * @param {Partial<typeof DEFAULT_SCHEDULER_LIMITS>} limits
+ */
+function configureProviderLimits(limits) {
+    configureGeminiLimits(limits);
+    providerSchedulers.openai.configure(limits);
+    // The local Ollama scheduler stays at one request in flight regardless of the remote quota
+}
+
+function trimTrailingSlash(url) {
+    return String(url || "").replace(/\/+$/, "");
+}
+
+/**
+ * POSTs JSON through a scheduler, retrying rate limits (honoring Retry-After) and network errors.
+ * @param {Object} scheduler
+ * @param {string} url
+ * @param {Object} body
+ * @param {{headers?: Object, label?: string, maxAttempts?: number}} [options]
+ * @returns {Promise<Object|null>} The parsed response body, or null if the call failed.
+ */
+async function postJsonWithRetry(scheduler, url, body, { headers = {}, label = "Provider", maxAttempts = 3 } = {}) {
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+        try {
+            const { response, data } = await scheduler.schedule(async (reportTokens) => {
+                const response = await fetch(url, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json", ...headers },
+                    body: JSON.stringify(body)
+                });
+                const data = await response.json();
+                reportTokens(data.usage?.total_tokens);
+                return { response, data };
+            }, { estimatedTokens: 2000 });
+
+            if (!response.ok) {
+                if (response.status === 429 || response.status === 503) {
+                    const retryAfter = parseFloat(response.headers.get("retry-after"));
+                    const waitMs = Number.isFinite(retryAfter)
+                        ? Math.ceil(retryAfter * 1000) + 1000
+                        : 2000 * Math.pow(2, attempts);
+                    console.log(`${label} rate limited. Waiting ${waitMs}ms before retry...`);
+                    scheduler.backoff(waitMs);
+                    attempts++;
+                    continue;
+                }
+
+                console.error(`${label} API Error`, JSON.stringify(data, null, 2));
+                return null;
+            }
+
+            return data;
+
+        } catch (error) {
+            console.error(`${label} Request Failed:`, error);
+            attempts++;
+            if (attempts >= maxAttempts) return null;
+            await new Promise(r => setTimeout(r, 2000));
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parses a `{ "items": [...] }` JSON response and keeps the records that match the analysis schema.
+ * @param {string} text
+ * @param {Object} schema
+ * @param {string} label
+ * @returns {Object[]|null}
+ */
+function parseProviderRecords(text, schema, label) {
+    if (!text) return null;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        console.error(`Failed to parse ${label} JSON:`, e, text);
+        return null;
+    }
+
+    const { valid, errors } = splitValidRecords(Array.isArray(parsed) ? parsed : parsed?.items, schema);
+    if (errors.length) {
+        console.warn(`${label} returned records that failed validation:`, errors);
+    }
+    return valid.length ? valid : null;
+}
+
+// Wraps the item array in an object, since JSON modes generally require an object at the top level
+function buildItemsEnvelopeSchema(schema) {
+    return {
+        type: "object",
+        properties: { items: toJsonSchema(schema) },
+        required: ["items"]
+    };
+}
+
+// Derives a plain-text identification from analysis records
+async function identifyFromShoppingLinks(provider, context) {
+    const records = await provider.getShoppingLinks(context);
+    return records ? { text: records.map(r => r.item).join(", ") } : null;
+}
+
+registerVisionProvider({
+    id: "gemini",
+    label: "Google Gemini",
+    needsImageData: true,
+    supportsShoppingLinks: true,
+    isConfigured(settings) {
+        return !!settings.apiKey;
+    },
+    getCacheVariant(settings, preferences) {
+        return getAnalysisPromptVariant(preferences);
+    },
+    identify(context) {
+        return identifyFromShoppingLinks(this, context);
+    },
+    getShoppingLinks({ base64Data, preferences, settings }) {
+        return analyzeImageAndGetShoppingLinks(base64Data, settings.apiKey, preferences);
+    }
+});
+
+registerVisionProvider({
+    id: "lens",
+    label: "Google Lens (scraping)",
+    needsImageData: false,
+    supportsShoppingLinks: false,
+    isConfigured() {
+        return true;
+    },
+    getCacheVariant() {
+        return null; // Lens results are not cached
+    },
+    async identify({ pin }) {
+        // Serialized even when Lens is a fallback for pins being processed concurrently
+        const result = await providerSchedulers.lens.schedule(() => fetchLensResult(pin.imageUrl));
+
+        if (result && typeof result === 'object' && result.text) {
+            return { text: result.text };
+        } else if (result && typeof result === 'string') {
+            return { text: result.trim() };
+        }
+        return null;
+    },
+    async getShoppingLinks() {
+        return null;
+    }
+});
+
+registerVisionProvider({
+    id: "openai",
+    label: "OpenAI-compatible endpoint",
+    needsImageData: true,
+    supportsShoppingLinks: true,
+    isConfigured(settings) {
+        return !!(settings.baseUrl || settings.apiKey);
+    },
+    getCacheVariant(settings, preferences) {
+        const model = settings.model || DEFAULT_OPENAI_MODEL;
+        return `openai:${trimTrailingSlash(settings.baseUrl || DEFAULT_OPENAI_BASE_URL)}:${model}:${getAnalysisPromptVariant(preferences)}`;
+    },
+    identify(context) {
+        return identifyFromShoppingLinks(this, context);
+    },
+    async getShoppingLinks({ base64Data, preferences, settings }) {
+        if (!base64Data) return null;
+
+        const schema = buildAnalysisSchema(!!preferences);
+        const baseUrl = trimTrailingSlash(settings.baseUrl || DEFAULT_OPENAI_BASE_URL);
+        const body = {
+            model: settings.model || DEFAULT_OPENAI_MODEL,
+            temperature: 0.1,
+            messages: [{
+                role: "user",
+                content: [
+                    { type: "text", text: `${buildAnalysisPrompt(preferences)}\nWrap the array in an object: {"items": [...]}.` },
+                    { type: "image_url", image_url: { url: `data:image/jpeg;base64,${base64Data}` } }
+                ]
+            }],
+            response_format: {
+                type: "json_schema",
+                json_schema: { name: "shopping_items", schema: buildItemsEnvelopeSchema(schema) }
+            }
+        };
+        const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+
+        const data = await postJsonWithRetry(providerSchedulers.openai, `${baseUrl}/chat/completions`, body, { headers, label: "OpenAI-compatible" });
+        return parseProviderRecords(data?.choices?.[0]?.message?.content, schema, "OpenAI-compatible");
+    }
+});
+
+registerVisionProvider({
+    id: "ollama",
+    label: "Local model (Ollama)",
+    needsImageData: true,
+    supportsShoppingLinks: true,
+    isConfigured() {
+        return true; // Defaults to a local server on the standard port
+    },
+    getCacheVariant(settings, preferences) {
+        const model = settings.model || DEFAULT_OLLAMA_MODEL;
+        return `ollama:${model}:${getAnalysisPromptVariant(preferences)}`;
+    },
+    identify(context) {
+        return identifyFromShoppingLinks(this, context);
+    },
+    async getShoppingLinks({ base64Data, preferences, settings }) {
+        if (!base64Data) return null;
+
+        const schema = buildAnalysisSchema(!!preferences);
+        const baseUrl = trimTrailingSlash(settings.baseUrl || DEFAULT_OLLAMA_BASE_URL);
+        const body = {
+            model: settings.model || DEFAULT_OLLAMA_MODEL,
+            stream: false,
+            format: buildItemsEnvelopeSchema(schema),
+            options: { temperature: 0.1 },
+            messages: [{
+                role: "user",
+                content: `${buildAnalysisPrompt(preferences)}\nWrap the array in an object: {"items": [...]}.`,
+                images: [base64Data]
+            }]
+        };
+
+        const data = await postJsonWithRetry(providerSchedulers.ollama, `${baseUrl}/api/chat`, body, { label: "Ollama" });
+        return parseProviderRecords(data?.message?.content, schema, "Ollama");
+    }
+});
+
+/**
+ * Picks a search query from the pin's own text, skipping the "<Board> Pin" fallback title content.js generates.
+ * @param {Object} pin
+ * @param {string} [boardName]
+ * @returns {string|null}
+ */
+function buildPinTextQuery(pin, boardName = "") {
+    const title = (pin.title || "").trim();
+    const isFallbackTitle = !title || (boardName && title === `${boardName} Pin`);
+    if (!isFallbackTitle) return title;
+
+    const firstSentence = (pin.description || "").split(/[.\n]/)[0].trim();
+    return firstSentence ? firstSentence.split(/\s+/).slice(0, 8).join(" ") : null;
+}
+
+function buildShoppingSearchUrl(query) {
+    return `https://www.google.com/search?tbm=shop&q=${encodeURIComponent(query).replace(/%20/g, "+")}`;
+}
+
+registerVisionProvider({
+    id: "text",
+    label: "Text search (pin title/description)",
+    needsImageData: false,
+    supportsShoppingLinks: true,
+    isConfigured() {
+        return true;
+    },
+    getCacheVariant() {
+        return null; // No API call, nothing to cache
+    },
+    identify(context) {
+        return identifyFromShoppingLinks(this, context);
+    },
+    async getShoppingLinks({ pin, boardName }) {
+        const query = buildPinTextQuery(pin, boardName);
+        if (!query) {
+            throw new Error("Pin has no usable title or description");
+        }
+        return [{ item: query, exact_url: buildShoppingSearchUrl(query) }];
+    }
+});
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.DEFAULT_OPENAI_BASE_URL = DEFAULT_OPENAI_BASE_URL;
+globalScope.DEFAULT_OPENAI_MODEL = DEFAULT_OPENAI_MODEL;
+globalScope.DEFAULT_OLLAMA_BASE_URL = DEFAULT_OLLAMA_BASE_URL;
+globalScope.DEFAULT_OLLAMA_MODEL = DEFAULT_OLLAMA_MODEL;
+globalScope.registerVisionProvider = registerVisionProvider;
+globalScope.getVisionProvider = getVisionProvider;
+globalScope.listVisionProviders = listVisionProviders;
+globalScope.configureProviderLimits = configureProviderLimits;
@@ -0,0 +1,166 @@
+/**
+ * Shared request scheduler for rate-limited APIs (Gemini).
+ * Bounds the number of requests in flight and enforces requests-per-minute and
+ * tokens-per-minute budgets with token buckets, so throughput follows the key's actual quota.
+ */
+
+// Conservative defaults that fit the Gemini free tier; paid keys can raise them in Settings
+const DEFAULT_SCHEDULER_LIMITS = Object.freeze({
+    maxConcurrent: 3,
+    requestsPerMinute: 15,
+    tokensPerMinute: 1000000
+});
+
+/**
+ * Creates a token bucket that refills continuously up to `perMinute` tokens.
+ * @param {number} perMinute
+ */
+function createTokenBucket(perMinute) {
+    let capacity = perMinute;
+    let tokens = perMinute;
+    let lastRefill = Date.now();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - lastRefill) * capacity) / 60000);
+        lastRefill = now;
+    };
+
+    return {
+        /**
+         * Milliseconds until `amount` tokens are available (0 if available now).
+         * Requests larger than the whole bucket only wait for a full bucket.
+         */
+        waitTime(amount) {
+            refill();
+            const needed = Math.min(amount, capacity);
+            if (tokens >= needed) return 0;
+            return Math.ceil(((needed - tokens) * 60000) / capacity);
+        },
+        take(amount) {
+            refill();
+            tokens -= amount;
+        },
+        // Returns unused tokens when the real cost is known (may also debit extra if it was underestimated)
+        adjust(delta) {
+            refill();
+            tokens = Math.min(capacity, tokens + delta);
+        },
+        resize(perMinuteLimit) {
+            refill();
+            capacity = perMinuteLimit;
+            tokens = Math.min(tokens, capacity);
+        }
+    };
+}
+
+/**
+ * Creates a scheduler that runs tasks as soon as concurrency and rate budgets allow.
+ * @param {Partial<typeof DEFAULT_SCHEDULER_LIMITS>} [limits]
+ */
+function createRequestScheduler(limits = {}) {
+    let config = { ...DEFAULT_SCHEDULER_LIMITS };
+    const requestBucket = createTokenBucket(config.requestsPerMinute);
+    const tokenBucket = createTokenBucket(config.tokensPerMinute);
+    const queue = [];
+    let inFlight = 0;
+    let blockedUntil = 0;
+    let timer = null;
+
+    const schedulePump = (delayMs) => {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            pump();
+        }, delayMs);
+    };
+
+    const pump = () => {
+        while (queue.length && inFlight < config.maxConcurrent) {
+            const now = Date.now();
+            if (blockedUntil > now) {
+                schedulePump(blockedUntil - now);
+                return;
+            }
+
+            const next = queue[0];
+            const waitMs = Math.max(requestBucket.waitTime(1), tokenBucket.waitTime(next.estimatedTokens));
+            if (waitMs > 0) {
+                schedulePump(waitMs);
+                return;
+            }
+
+            queue.shift();
+            requestBucket.take(1);
+            tokenBucket.take(next.estimatedTokens);
+            inFlight++;
+
+            const reportTokens = (actualTokens) => {
+                if (typeof actualTokens === "number" && actualTokens > 0) {
+                    tokenBucket.adjust(next.estimatedTokens - actualTokens);
+                }
+            };
+
+            Promise.resolve()
+                .then(() => next.task(reportTokens))
+                .then(next.resolve, next.reject)
+                .finally(() => {
+                    inFlight--;
+                    pump();
+                });
+        }
+    };
+
+    const scheduler = {
+        /**
+         * Queues a task. The task receives a `reportTokens(actual)` callback to reconcile its real token usage.
+         * @template T
+         * @param {(reportTokens: (actual: number) => void) => Promise<T>} task
+         * @param {{estimatedTokens?: number}} [options]
+         * @returns {Promise<T>}
+         */
+        schedule(task, { estimatedTokens = 1 } = {}) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, estimatedTokens, resolve, reject });
+                pump();
+            });
+        },
+
+        /**
+         * Holds every queued request until `delayMs` has passed, e.g. when the server says "retry in X s".
+         * @param {number} delayMs
+         */
+        backoff(delayMs) {
+            blockedUntil = Math.max(blockedUntil, Date.now() + delayMs);
+        },
+
+        /**
+         * Updates the limits; takes effect for the next queued request.
+         * @param {Partial<typeof DEFAULT_SCHEDULER_LIMITS>} newLimits
+         */
+        configure(newLimits = {}) {
+            const sanitized = {};
+            Object.keys(DEFAULT_SCHEDULER_LIMITS).forEach((key) => {
+                const value = Number(newLimits[key]);
+                if (Number.isFinite(value) && value > 0) {
+                    sanitized[key] = value;
+                }
+            });
+            config = { ...config, ...sanitized };
+            requestBucket.resize(config.requestsPerMinute);
+            tokenBucket.resize(config.tokensPerMinute);
+            pump();
+        },
+
+        getLimits() {
+            return { ...config };
+        }
+    };
+
+    scheduler.configure(limits);
+    return scheduler;
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.DEFAULT_SCHEDULER_LIMITS = DEFAULT_SCHEDULER_LIMITS;
+globalScope.createRequestScheduler = createRequestScheduler;
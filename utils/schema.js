@@ -0,0 +1,109 @@
+/**
+ * Minimal validator for the OpenAPI-style schemas Gemini accepts as `responseSchema`.
+ * Supports type, nullable, enum, properties, required, items, minItems/maxItems and minimum/maximum,
+ * which is the same subset the API itself understands.
+ */
+
+/**
+ * @param {any} value
+ * @param {Object} schema
+ * @param {string} [path] Location of `value` used in error messages
+ * @returns {string[]} Human-readable validation errors (empty if valid)
+ */
+function validateAgainstSchema(value, schema, path = "$") {
+    if (!schema) return [];
+
+    if (value === null || value === undefined) {
+        return schema.nullable ? [] : [`${path} is missing`];
+    }
+
+    const type = String(schema.type || "").toUpperCase();
+    const errors = [];
+
+    switch (type) {
+        case "STRING":
+            if (typeof value !== "string") return [`${path} must be a string`];
+            break;
+        case "NUMBER":
+            if (typeof value !== "number" || Number.isNaN(value)) return [`${path} must be a number`];
+            break;
+        case "INTEGER":
+            if (!Number.isInteger(value)) return [`${path} must be an integer`];
+            break;
+        case "BOOLEAN":
+            if (typeof value !== "boolean") return [`${path} must be a boolean`];
+            break;
+        case "ARRAY":
+            if (!Array.isArray(value)) return [`${path} must be an array`];
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} must have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must have at most ${schema.maxItems} items`);
+            }
+            value.forEach((entry, i) => {
+                errors.push(...validateAgainstSchema(entry, schema.items, `${path}[${i}]`));
+            });
+            return errors;
+        case "OBJECT":
+            if (typeof value !== "object" || Array.isArray(value)) return [`${path} must be an object`];
+            (schema.required || []).forEach((key) => {
+                if (value[key] === undefined || value[key] === null || value[key] === "") {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined && value[key] !== null) {
+                    errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+                }
+            });
+            return errors;
+        default:
+            break;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+    return errors;
+}
+
+/**
+ * Converts a Gemini-style schema (uppercase types, `nullable`) to standard JSON Schema,
+ * for OpenAI-compatible and Ollama structured outputs.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function toJsonSchema(schema) {
+    if (!schema) return schema;
+
+    const type = String(schema.type || "").toLowerCase();
+    const converted = { type: schema.nullable ? [type, "null"] : type };
+
+    if (schema.description) converted.description = schema.description;
+    if (schema.enum) converted.enum = schema.nullable ? [...schema.enum, null] : schema.enum;
+    if (schema.minimum !== undefined) converted.minimum = schema.minimum;
+    if (schema.maximum !== undefined) converted.maximum = schema.maximum;
+    if (schema.minItems !== undefined) converted.minItems = schema.minItems;
+    if (schema.maxItems !== undefined) converted.maxItems = schema.maxItems;
+    if (schema.items) converted.items = toJsonSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = {};
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+            converted.properties[key] = toJsonSchema(propertySchema);
+        });
+    }
+    if (schema.required) converted.required = schema.required;
+
+    return converted;
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.validateAgainstSchema = validateAgainstSchema;
+globalScope.toJsonSchema = toJsonSchema;
@@ -0,0 +1,108 @@
+/**
+ * Minimal XLSX (SpreadsheetML) writer built on utils/zip.js.
+ * Cells are written as inline strings or numbers; no styles beyond a bold header row.
+ */
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Sheet names: max 31 chars, none of []:*?/\ and unique within the workbook
+function toSheetName(name, usedNames) {
+    const base = (String(name || "Sheet").replace(/[[\]:*?/\\]/g, " ").trim() || "Sheet").slice(0, 31);
+    let candidate = base;
+    for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+        const suffix = ` (${i})`;
+        candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function buildCellXml(value, ref, styleId) {
+    const style = styleId ? ` s="${styleId}"` : "";
+    if (typeof value === "number" && Number.isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    if (value === null || value === undefined || value === "") {
+        return "";
+    }
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    // Excel caps a cell at 32767 characters
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(text.slice(0, 32767))}</t></is></c>`;
+}
+
+function buildSheetXml(rows) {
+    const rowsXml = rows.map((row, rowIndex) => {
+        // The first row is treated as the header
+        const styleId = rowIndex === 0 ? 1 : 0;
+        const cells = row.map((value, colIndex) => buildCellXml(value, `${columnName(colIndex)}${rowIndex + 1}`, styleId)).join("");
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join("");
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${rowsXml}</sheetData></worksheet>`;
+}
+
+/**
+ * Builds an XLSX workbook.
+ * @param {Array<{name: string, rows: Array<Array<string|number|null>>}>} sheets First row of each sheet is its header
+ * @returns {Uint8Array}
+ */
+function buildXlsxWorkbook(sheets) {
+    const usedNames = new Set();
+    const named = sheets.map((sheet) => ({ ...sheet, name: toSheetName(sheet.name, usedNames) }));
+
+    const sheetEntries = named.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("");
+    const sheetRels = named.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("");
+    const sheetOverrides = named.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("");
+
+    const files = [
+        {
+            name: "[Content_Types].xml",
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheetOverrides}</Types>`
+        },
+        {
+            name: "_rels/.rels",
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: "xl/workbook.xml",
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheetEntries}</sheets></workbook>`
+        },
+        {
+            name: "xl/_rels/workbook.xml.rels",
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheetRels}<Relationship Id="rId${named.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`
+        },
+        {
+            name: "xl/styles.xml",
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border/></borders><cellStyleXfs count="1"><xf/></cellStyleXfs><cellXfs count="2"><xf/><xf fontId="1" applyFont="1"/></cellXfs></styleSheet>`
+        },
+        ...named.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: buildSheetXml(sheet.rows) }))
+    ];
+
+    return createZip(files);
+}
+
+var globalScope = typeof self !== 'undefined' ? self : window;
+globalScope.buildXlsxWorkbook = buildXlsxWorkbook;